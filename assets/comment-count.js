@@ -0,0 +1,74 @@
+// Blog Comment System - comment counts for post listings
+// Served by the Worker at /comment-count.js. Mark the elements that should show a count and include the script once:
+//
+//   <a href="/posts/hello-world#comments" data-comment-count="https://yourblog.com/posts/hello-world">Comments</a>
+//   <script src="https://your-worker.workers.dev/comment-count.js" data-site="your-site-key" async></script>
+//
+// Each element's text becomes "No comments", "1 comment" or "12 comments". data-comment-count holds the page URL;
+// left empty, the element's own href (or the current page, for elements without one) is used.
+
+const SCRIPT = document.currentScript;
+const API_BASE = new URL(SCRIPT.src).origin;
+
+// Should match MAX_COUNT_URLS in the Worker
+const MAX_URLS_PER_REQUEST = 50;
+
+function countLabel(count) {
+    if (count === 0) return 'No comments';
+    return count === 1 ? '1 comment' : `${count} comments`;
+}
+
+function pageUrlFor(element) {
+    const url = element.dataset.commentCount || element.getAttribute('href') || window.location.href;
+    try {
+        return new URL(url, window.location.href).href;
+    } catch (_) {
+        return null;
+    }
+}
+
+async function fetchCounts(pageUrls) {
+    // Sorted, so every listing asking about the same pages makes the same (cacheable) request
+    const params = new URLSearchParams();
+    pageUrls.slice().sort().forEach(pageUrl => params.append('page_url', pageUrl));
+    if (SCRIPT.dataset.site) {
+        params.set('site_key', SCRIPT.dataset.site);
+    }
+
+    const response = await fetch(`${API_BASE}/api/comments/count?${params}`);
+    if (!response.ok) {
+        throw new Error('Failed to load comment counts');
+    }
+    return (await response.json()).counts;
+}
+
+async function fillCommentCounts() {
+    const elements = Array.from(document.querySelectorAll('[data-comment-count]'));
+    const byUrl = new Map();
+    elements.forEach(element => {
+        const pageUrl = pageUrlFor(element);
+        if (pageUrl) {
+            byUrl.set(pageUrl, (byUrl.get(pageUrl) || []).concat(element));
+        }
+    });
+
+    const pageUrls = Array.from(byUrl.keys());
+    for (let i = 0; i < pageUrls.length; i += MAX_URLS_PER_REQUEST) {
+        try {
+            const counts = await fetchCounts(pageUrls.slice(i, i + MAX_URLS_PER_REQUEST));
+            Object.entries(counts).forEach(([pageUrl, count]) => {
+                (byUrl.get(pageUrl) || []).forEach(element => {
+                    element.textContent = countLabel(count);
+                });
+            });
+        } catch (err) {
+            console.error('Error loading comment counts:', err);
+        }
+    }
+}
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', fillCommentCounts);
+} else {
+    fillCommentCounts();
+}
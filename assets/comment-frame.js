@@ -0,0 +1,124 @@
+// Blog Comment System - host page helper for the iframe widget
+// Served by the Worker at /comment-frame.js. Include it once on any page with a /comment-widget iframe:
+//
+//   <iframe src="https://your-worker.workers.dev/comment-widget?page_url=..." data-theme="auto"></iframe>
+//   <script src="https://your-worker.workers.dev/comment-frame.js" async></script>
+//
+// It sizes each widget frame to fit its content, keeps the widget's theme in step with the frame's
+// data-theme attribute ("light", "dark" or "auto"), puts comment permalinks on the page's own URL
+// (#comment-123), and scrolls to the linked comment when the page is opened with one.
+// Widget messages are re-dispatched on the iframe as bubbling DOM events, e.g.:
+//
+//   document.addEventListener('blogcomments:comment-posted', (e) => console.log(e.detail.comment));
+//
+// The protocol is documented under "Iframe Messages" in the README.
+
+const SCRIPT = document.currentScript;
+const WIDGET_ORIGIN = new URL(SCRIPT.src).origin;
+const MESSAGE_SOURCE = 'blog-comments';
+
+function isWidgetFrame(frame) {
+    try {
+        const src = new URL(frame.src, window.location.href);
+        return src.origin === WIDGET_ORIGIN && src.pathname === '/comment-widget';
+    } catch (_) {
+        return false;
+    }
+}
+
+function widgetFrames() {
+    return Array.from(document.querySelectorAll('iframe')).filter(isWidgetFrame);
+}
+
+// Messages only go to the widget's origin, so nothing leaks if the frame was navigated elsewhere
+function sendToFrame(frame, type, data = {}) {
+    if (frame.contentWindow) {
+        frame.contentWindow.postMessage({ source: MESSAGE_SOURCE, type, ...data }, WIDGET_ORIGIN);
+    }
+}
+
+// The comment ID from a #comment-123 fragment on the host page's URL
+function linkedCommentId() {
+    const match = window.location.hash.match(/^#comment-(\d+)$/);
+    return match ? Number(match[1]) : null;
+}
+
+function connectFrame(frame) {
+    if (frame.dataset.blogCommentsConnected) return;
+    frame.dataset.blogCommentsConnected = 'true';
+    frame.setAttribute('scrolling', 'no');
+    frame.style.overflow = 'hidden';
+
+    // The widget only answers once it has been introduced to the host, which happens on every load
+    const init = () => sendToFrame(frame, 'init', {
+        theme: frame.dataset.theme || null,
+        comment_id: linkedCommentId()
+    });
+    frame.addEventListener('load', init);
+    init();
+
+    new MutationObserver(() => sendToFrame(frame, 'set-theme', { theme: frame.dataset.theme }))
+        .observe(frame, { attributes: true, attributeFilter: ['data-theme'] });
+}
+
+window.addEventListener('message', (event) => {
+    const message = event.data;
+    if (event.origin !== WIDGET_ORIGIN || !message || message.source !== MESSAGE_SOURCE) {
+        return;
+    }
+
+    // Only trust messages from the widget frames themselves, not other frames on the widget's origin
+    const frame = widgetFrames().find(candidate => candidate.contentWindow === event.source);
+    if (!frame) return;
+
+    switch (message.type) {
+        case 'resize':
+            if (Number.isFinite(message.height) && message.height >= 0) {
+                frame.style.height = `${Math.ceil(message.height)}px`;
+            }
+            break;
+        case 'comment-link':
+            if (Number.isInteger(message.comment_id)) {
+                history.replaceState(null, '', `#comment-${message.comment_id}`);
+                sendToFrame(frame, 'scroll-to-comment', { comment_id: message.comment_id });
+            }
+            break;
+        case 'comment-position':
+            if (Number.isFinite(message.top)) {
+                const frameTop = frame.getBoundingClientRect().top + window.scrollY;
+                window.scrollTo({ top: Math.max(0, frameTop + message.top - 20), behavior: 'smooth' });
+            }
+            break;
+    }
+
+    frame.dispatchEvent(new CustomEvent(`blogcomments:${message.type}`, {
+        bubbles: true,
+        detail: message
+    }));
+});
+
+window.addEventListener('hashchange', () => {
+    const commentId = linkedCommentId();
+    if (commentId) {
+        widgetFrames().forEach(frame => sendToFrame(frame, 'scroll-to-comment', { comment_id: commentId }));
+    }
+});
+
+// Frames added to the page later can be connected with BlogCommentsFrame.connect(),
+// and BlogCommentsFrame.setTheme('dark') switches every widget on the page
+window.BlogCommentsFrame = {
+    connect() {
+        widgetFrames().forEach(connectFrame);
+    },
+    setTheme(theme) {
+        widgetFrames().forEach(frame => {
+            frame.dataset.theme = theme;
+        });
+    }
+};
+
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => window.BlogCommentsFrame.connect());
+} else {
+    window.BlogCommentsFrame.connect();
+}
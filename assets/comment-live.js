@@ -0,0 +1,296 @@
+// Blog Comment System - live comment updates
+// Keeps a rendered comment list current without reloading it: new comments are inserted under their parent,
+// and edited or removed ones are redrawn or taken out in place, so readers keep their scroll position.
+// Loaded by comment-form.html after comment-render.js, served by the Worker at /assets/comment-live.js
+// for the widget page it generates, and bundled into /embed.js.
+//
+// The Worker pushes a short notice over a WebSocket (/api/comments/live) whenever a page's comments
+// change, and the list then fetches the changes from /api/comments/updates. Fetching them, rather than
+// taking them from the push, keeps them in order when several writes land at once. While the socket is
+// unavailable (or the Worker has no live channel) the list polls instead.
+
+const LIVE_POLL_INTERVAL = 30000; // 30 seconds
+const LIVE_PING_INTERVAL = 30000; // Keeps idle connections from being closed
+const LIVE_MAX_RECONNECT_DELAY = 300000; // 5 minutes
+
+// Live updates for one comment list. Options:
+//   apiBase, pageUrl, siteKey       Where the list's comments come from
+//   list, noComments, commentCount  The list's elements; commentCount is optional
+//   maxDepth                        How deeply replies nest
+//   comments()                      The loaded comments, in thread order with their depth; changed in place
+//   hasMorePages()                  Whether there are top-level comments still to load
+//   sort()                          The order top-level comments are in
+//   renderComment(comment, depth)   HTML for one comment, without its replies
+//   reload()                        Load the list from scratch; it calls start() again once loaded
+// Returns start(lastEventId), stop(), refresh(), updateComment(comment) and removeComment(id).
+function createLiveUpdates(options) {
+    let lastEventId = null;
+    let socket = null;
+    let pollTimer = null;
+    let reconnectTimer = null;
+    let reconnectDelay = 1000;
+    let refreshing = null;
+    let refreshAgain = false;
+
+    function updatesParams() {
+        const params = new URLSearchParams({
+            page_url: options.pageUrl,
+            since: lastEventId
+        });
+        if (options.siteKey) {
+            params.set('site_key', options.siteKey);
+        }
+        return params;
+    }
+
+    // Follow changes from lastEventId, the last_event_id of the page of comments just loaded
+    function start(eventId) {
+        lastEventId = eventId ?? null;
+        connect();
+    }
+
+    function connect() {
+        if (lastEventId === null || document.hidden || socket) return;
+
+        if (!('WebSocket' in window)) {
+            startPolling();
+            refresh();
+            return;
+        }
+
+        clearTimeout(reconnectTimer);
+        const current = new WebSocket(`${options.apiBase.replace(/^http/, 'ws')}/api/comments/live?${updatesParams()}`);
+        let pingTimer = null;
+        socket = current;
+
+        current.addEventListener('open', () => {
+            reconnectDelay = 1000;
+            stopPolling();
+            pingTimer = setInterval(() => current.send('ping'), LIVE_PING_INTERVAL);
+            refresh(); // Catch up on anything that changed while connecting
+        });
+
+        // Notices name the first change they announce; ones already applied need no fetch
+        current.addEventListener('message', (event) => {
+            if (event.data === 'pong') return;
+            try {
+                if (JSON.parse(event.data).event_id <= lastEventId) return;
+            } catch (error) {
+                console.error('Error reading live update:', error);
+            }
+            refresh();
+        });
+
+        // Poll until the socket can be reopened, backing off while it keeps failing
+        current.addEventListener('close', () => {
+            clearInterval(pingTimer);
+            if (socket !== current) return; // Closed on purpose by stop
+            socket = null;
+            startPolling();
+            reconnectTimer = setTimeout(connect, reconnectDelay);
+            reconnectDelay = Math.min(reconnectDelay * 2, LIVE_MAX_RECONNECT_DELAY);
+        });
+    }
+
+    function stop() {
+        clearTimeout(reconnectTimer);
+        stopPolling();
+        if (socket) {
+            const current = socket;
+            socket = null;
+            current.close();
+        }
+    }
+
+    function startPolling() {
+        if (!pollTimer) {
+            pollTimer = setInterval(refresh, LIVE_POLL_INTERVAL);
+        }
+    }
+
+    function stopPolling() {
+        clearInterval(pollTimer);
+        pollTimer = null;
+    }
+
+    // Fetch and apply the changes since the last one applied. One fetch runs at a time; a change
+    // announced while it runs may not have been in it, so another follows straight after.
+    function refresh() {
+        if (lastEventId === null) {
+            options.reload();
+            return Promise.resolve();
+        }
+        if (refreshing) {
+            refreshAgain = true;
+            return refreshing;
+        }
+
+        refreshing = (async () => {
+            do {
+                refreshAgain = false;
+                try {
+                    const response = await fetch(`${options.apiBase}/api/comments/updates?${updatesParams()}`);
+                    if (!response.ok) {
+                        throw new Error('Failed to load updates');
+                    }
+                    applyUpdates(await response.json());
+                } catch (error) {
+                    console.error('Error loading updates:', error);
+                }
+            } while (refreshAgain && lastEventId !== null);
+            refreshing = null;
+        })();
+        return refreshing;
+    }
+
+    function applyUpdates(data) {
+        // Too far behind to catch up change by change
+        if (data.reload) {
+            lastEventId = null;
+            options.reload();
+            return;
+        }
+
+        (data.events || []).forEach(event => {
+            if (event.id <= lastEventId) return;
+            lastEventId = event.id;
+
+            if (event.type === 'deleted') {
+                removeComment(event.comment_id);
+            } else if (findLoadedComment(event.comment.id)) {
+                updateComment(event.comment);
+            } else if (event.type === 'added') {
+                insertComment(event.comment);
+            }
+        });
+
+        lastEventId = Math.max(lastEventId, data.last_event_id || 0);
+        if (options.commentCount && typeof data.total === 'number') {
+            options.commentCount.textContent = data.total;
+        }
+    }
+
+    function findLoadedComment(id) {
+        return options.comments().find(comment => comment.id === id);
+    }
+
+    function findCommentElement(id) {
+        return options.list.querySelector(`.comment[data-comment-id="${Number(id)}"]`);
+    }
+
+    function toElement(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html.trim();
+        return template.content.firstElementChild;
+    }
+
+    // Index just past a comment's replies in the loaded comments, which are in thread order
+    function endOfThread(comment) {
+        const comments = options.comments();
+        let index = comments.indexOf(comment) + 1;
+        while (index < comments.length && comments[index].depth > comment.depth) {
+            index++;
+        }
+        return index;
+    }
+
+    // Add a new comment where it belongs in the list
+    function insertComment(comment) {
+        const comments = options.comments();
+        const parent = comment.parent_id ? findLoadedComment(comment.parent_id) : null;
+
+        // Replies to comments that aren't loaded, and new threads while there are pages still to
+        // load, turn up when the reader gets to them; newest first, new threads go straight to the top
+        const newestFirst = options.sort() === 'newest';
+        if (comment.parent_id ? !parent : options.hasMorePages() && !newestFirst) return;
+
+        const depth = parent ? parent.depth + 1 : 0;
+        const added = { ...comment, depth };
+        comments.splice(parent ? endOfThread(parent) : newestFirst ? 0 : comments.length, 0, added);
+
+        const element = toElement(options.renderComment(added, depth));
+        element.classList.add('new');
+
+        if (!parent) {
+            if (newestFirst) {
+                options.list.prepend(element);
+            } else {
+                options.list.appendChild(element);
+            }
+            options.list.style.display = 'block';
+            if (options.noComments) options.noComments.style.display = 'none';
+        } else if (parent.depth < options.maxDepth) {
+            const parentElement = findCommentElement(parent.id);
+            let replies = parentElement.querySelector(':scope > .comment-replies');
+            if (!replies) {
+                replies = document.createElement('div');
+                replies.className = 'comment-replies';
+                parentElement.appendChild(replies);
+            }
+            replies.appendChild(element);
+        } else {
+            // Past the maximum depth, replies are listed after their parent's other replies
+            let last = findCommentElement(parent.id);
+            while (last.nextElementSibling && Number(last.nextElementSibling.dataset.depth) > parent.depth) {
+                last = last.nextElementSibling;
+            }
+            last.after(element);
+        }
+    }
+
+    // Redraw a comment in place, keeping its replies
+    function redrawComment(comment) {
+        const element = findCommentElement(comment.id);
+        if (!element) return;
+
+        const replies = element.querySelector(':scope > .comment-replies');
+        element.replaceChildren(...toElement(options.renderComment(comment, comment.depth)).childNodes);
+        if (replies) {
+            element.appendChild(replies);
+        }
+    }
+
+    function updateComment(comment) {
+        const loaded = findLoadedComment(comment.id);
+        if (!loaded) return;
+
+        Object.assign(loaded, comment, { removed: false });
+        redrawComment(loaded);
+    }
+
+    // Take a comment off the list; one with replies stays as a placeholder so its replies keep their place
+    function removeComment(id) {
+        const comments = options.comments();
+        const comment = findLoadedComment(id);
+        if (!comment) return;
+
+        const index = comments.indexOf(comment);
+        if (endOfThread(comment) > index + 1) {
+            comment.removed = true;
+            redrawComment(comment);
+            return;
+        }
+
+        comments.splice(index, 1);
+        const element = findCommentElement(id);
+        if (element) {
+            element.remove();
+        }
+        if (comments.length === 0 && !options.hasMorePages()) {
+            options.list.style.display = 'none';
+            if (options.noComments) options.noComments.style.display = 'block';
+        }
+    }
+
+    // Pause while the page is hidden, and catch up when it is shown again
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) {
+            stop();
+        } else {
+            connect();
+        }
+    });
+    window.addEventListener('beforeunload', stop);
+
+    return { start, stop, refresh, updateComment, removeComment };
+}
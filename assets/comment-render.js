@@ -0,0 +1,269 @@
+// Blog Comment System - shared rendering helpers
+// The database stores exactly what people typed; everything user-supplied is escaped here, when it's shown.
+// Loaded by comment-form.html and admin.html, served by the Worker at /assets/comment-render.js
+// for the widget and admin pages it generates, and bundled into /embed.js.
+//
+// The comment widgets (comment-system.js, /embed.js and the /comment-widget iframe) also share how they
+// render threads and what they remember about the reader in localStorage.
+
+// Escape text for use in HTML content and in quoted attribute values
+function escapeHtml(text) {
+    return String(text ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Escape a URL for an href attribute; anything but http(s) is replaced so it can't run script
+function safeHref(url) {
+    return /^https?:\/\//i.test(url) ? escapeHtml(url) : '#';
+}
+
+// A comment's body as HTML: the markdown the API rendered, or the escaped source if there is none
+function renderCommentContent(comment) {
+    if (typeof comment.comment_html === 'string') {
+        return comment.comment_html;
+    }
+    return `<p>${escapeHtml(comment.comment_content)}</p>`;
+}
+
+// Reactions offered under each comment, in order; the keys must match REACTIONS in the Worker
+const REACTION_TYPES = {
+    upvote: { emoji: '👍', label: 'Upvote' },
+    heart: { emoji: '❤️', label: 'Love' },
+    laugh: { emoji: '😄', label: 'Funny' },
+    hooray: { emoji: '🎉', label: 'Hooray' },
+    surprised: { emoji: '😮', label: 'Surprised' }
+};
+
+// A comment's reaction buttons with their counts; mine lists the reactions the reader has left on it
+function renderReactions(comment, mine = []) {
+    const buttons = Object.entries(REACTION_TYPES).map(([reaction, { emoji, label }]) => {
+        const count = (comment.reactions && comment.reactions[reaction]) || 0;
+        const active = mine.includes(reaction);
+        return `<button type="button" class="reaction-btn${active ? ' active' : ''}" data-reaction="${reaction}" ` +
+            `aria-pressed="${active}" title="${label}">${emoji}${count > 0 ? ` <span class="reaction-count">${count}</span>` : ''}</button>`;
+    });
+    return `<div class="comment-reactions">${buttons.join('')}</div>`;
+}
+
+// Compare two versions of a comment's source word by word. Returns escaped HTML in which words only
+// in the old version are wrapped in <del> and words only in the new one in <ins>.
+function renderTextDiff(before, after) {
+    const oldWords = String(before ?? '').split(/(\s+)/).filter(Boolean);
+    const newWords = String(after ?? '').split(/(\s+)/).filter(Boolean);
+
+    // common[i][j]: length of the longest common subsequence of oldWords from i and newWords from j
+    const common = Array.from({ length: oldWords.length + 1 }, () => new Array(newWords.length + 1).fill(0));
+    for (let i = oldWords.length - 1; i >= 0; i--) {
+        for (let j = newWords.length - 1; j >= 0; j--) {
+            common[i][j] = oldWords[i] === newWords[j]
+                ? common[i + 1][j + 1] + 1
+                : Math.max(common[i + 1][j], common[i][j + 1]);
+        }
+    }
+
+    let html = '';
+    let i = 0;
+    let j = 0;
+    while (i < oldWords.length || j < newWords.length) {
+        if (i < oldWords.length && j < newWords.length && oldWords[i] === newWords[j]) {
+            html += escapeHtml(oldWords[i++]);
+            j++;
+        } else if (i < oldWords.length && (j === newWords.length || common[i + 1][j] >= common[i][j + 1])) {
+            html += `<del>${escapeHtml(oldWords[i++])}</del>`;
+        } else {
+            html += `<ins>${escapeHtml(newWords[j++])}</ins>`;
+        }
+    }
+
+    return html.replace(/<\/ins><ins>/g, '').replace(/<\/del><del>/g, '');
+}
+
+// A placeholder for a removed comment that still has replies
+const REMOVED_COMMENT_HTML = '<p class="comment-removed">This comment was removed.</p>';
+
+// The loaded comments, in thread order with their depth, as nested HTML. Options:
+//   maxDepth    How deeply replies nest; deeper replies are listed after their parent
+//   permalinks  Give each comment an ID and a "#" link to it
+function renderThread(comments, options) {
+    // Group replies under their parent; depth 0 marks top-level comments
+    const children = new Map();
+    comments.forEach(comment => {
+        const parentId = comment.depth ? comment.parent_id : null;
+        if (!children.has(parentId)) {
+            children.set(parentId, []);
+        }
+        children.get(parentId).push(comment);
+    });
+
+    const renderReplies = (parentId, depth) => (children.get(parentId) || [])
+        .map(comment => createCommentHTML(comment, depth, options, renderReplies(comment.id, depth + 1)))
+        .join('');
+    return renderReplies(null, 0);
+}
+
+// HTML for a single comment and its rendered replies, with the options of renderThread
+function createCommentHTML(comment, depth, options, repliesHTML = '') {
+    const canReply = depth < options.maxDepth;
+    const canEdit = !comment.removed && getEditToken(comment.id) !== null;
+    const formattedDate = formatDate(comment.created_at);
+    const edited = comment.edited_at
+        ? `<span class="comment-edited" title="Edited ${formatDate(comment.edited_at)}">(edited)</span>`
+        : '';
+
+    // Past the maximum depth, replies are listed after their parent instead of inside it
+    const replies = repliesHTML && canReply
+        ? `<div class="comment-replies">${repliesHTML}</div>`
+        : '';
+
+    return `
+        <div class="comment"${options.permalinks ? ` id="comment-${comment.id}"` : ''} data-comment-id="${comment.id}" data-depth="${depth}">
+            <div class="comment-header">
+                <span class="comment-author">${comment.removed ? '' : escapeHtml(comment.author_name)}</span>
+                <span class="comment-date" title="${formattedDate}">${formatRelativeTime(comment.created_at)}${edited}</span>
+                ${options.permalinks ? `<a class="comment-link" href="#comment-${comment.id}" data-comment-id="${comment.id}" title="Link to this comment">#</a>` : ''}
+            </div>
+            <div class="comment-content">
+                ${comment.removed ? REMOVED_COMMENT_HTML : renderCommentContent(comment)}
+            </div>
+            ${comment.removed ? '' : renderReactions(comment, loadMyReactions()[comment.id])}
+            ${canReply ? `<button type="button" class="reply-btn" data-comment-id="${comment.id}">Reply</button>` : ''}
+            ${canEdit ? `
+                <button type="button" class="edit-comment-btn" data-comment-id="${comment.id}">Edit</button>
+                <button type="button" class="delete-comment-btn" data-comment-id="${comment.id}">Delete</button>
+            ` : ''}
+            ${comment.removed || canEdit ? '' : `<button type="button" class="report-comment-btn" data-comment-id="${comment.id}">Report</button>`}
+            ${replies}
+        </div>
+        ${canReply ? '' : repliesHTML}
+    `;
+}
+
+// Format date in a user-friendly way
+function formatDate(dateString) {
+    return new Date(dateString).toLocaleDateString(undefined, {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric',
+        hour: '2-digit',
+        minute: '2-digit'
+    });
+}
+
+// Format relative time (e.g., "2 hours ago"), or the date once it's over a week old
+function formatRelativeTime(dateString) {
+    const diffInSeconds = Math.floor((new Date() - new Date(dateString)) / 1000);
+
+    if (diffInSeconds < 60) {
+        return 'just now';
+    } else if (diffInSeconds < 3600) {
+        const minutes = Math.floor(diffInSeconds / 60);
+        return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
+    } else if (diffInSeconds < 86400) {
+        const hours = Math.floor(diffInSeconds / 3600);
+        return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
+    } else if (diffInSeconds < 604800) {
+        const days = Math.floor(diffInSeconds / 86400);
+        return `${days} day${days !== 1 ? 's' : ''} ago`;
+    }
+    return formatDate(dateString);
+}
+
+function rateLimitMessage(seconds) {
+    return `You're commenting too quickly. Please try again in ${formatWait(seconds)}.`;
+}
+
+// Format a wait in seconds as e.g. "45s", "2m 5s" or "3h 20m"
+function formatWait(seconds) {
+    if (seconds >= 3600) {
+        return `${Math.floor(seconds / 3600)}h ${Math.floor((seconds % 3600) / 60)}m`;
+    }
+    if (seconds >= 60) {
+        return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+    }
+    return `${seconds}s`;
+}
+
+// Edit tokens for comments posted from this browser, stored as { [comment ID]: { token, expires_at } }.
+// They are kept for the edit window only; expired ones are dropped whenever a new one is stored.
+const EDIT_TOKENS_KEY = 'blog-comments-edit-tokens';
+
+function loadEditTokens() {
+    try {
+        return JSON.parse(localStorage.getItem(EDIT_TOKENS_KEY)) || {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function saveEditTokens(tokens) {
+    try {
+        localStorage.setItem(EDIT_TOKENS_KEY, JSON.stringify(tokens));
+    } catch (error) {
+        console.error('Error saving edit token:', error);
+    }
+}
+
+function rememberEditToken(commentId, token, expiresAt) {
+    const tokens = loadEditTokens();
+    Object.keys(tokens).forEach(id => {
+        if (!(Date.parse(tokens[id].expires_at) > Date.now())) {
+            delete tokens[id];
+        }
+    });
+    tokens[commentId] = { token, expires_at: expiresAt };
+    saveEditTokens(tokens);
+}
+
+function forgetEditToken(commentId) {
+    const tokens = loadEditTokens();
+    delete tokens[commentId];
+    saveEditTokens(tokens);
+}
+
+// The edit token for one of the reader's comments, or null once its edit window has closed
+function getEditToken(commentId) {
+    const entry = loadEditTokens()[commentId];
+    return entry && Date.parse(entry.expires_at) > Date.now() ? entry.token : null;
+}
+
+// The random ID this browser reacts under, and the reactions it has left, as { [comment ID]: [reaction, ...] }
+const VOTER_ID_KEY = 'blog-comments-voter-id';
+const MY_REACTIONS_KEY = 'blog-comments-reactions';
+
+// Without localStorage the voter ID only lasts until the page is reloaded
+let fallbackVoterId = null;
+
+function getVoterId() {
+    const newId = () => Array.from(crypto.getRandomValues(new Uint8Array(16)), byte => byte.toString(16).padStart(2, '0')).join('');
+    try {
+        let voterId = localStorage.getItem(VOTER_ID_KEY);
+        if (!voterId) {
+            voterId = newId();
+            localStorage.setItem(VOTER_ID_KEY, voterId);
+        }
+        return voterId;
+    } catch (_) {
+        fallbackVoterId = fallbackVoterId || newId();
+        return fallbackVoterId;
+    }
+}
+
+function loadMyReactions() {
+    try {
+        return JSON.parse(localStorage.getItem(MY_REACTIONS_KEY)) || {};
+    } catch (_) {
+        return {};
+    }
+}
+
+function saveMyReactions(reactions) {
+    try {
+        localStorage.setItem(MY_REACTIONS_KEY, JSON.stringify(reactions));
+    } catch (error) {
+        console.error('Error saving reactions:', error);
+    }
+}
@@ -5,17 +5,29 @@
 const CONFIG = {
     // Update this to your Cloudflare Worker URL
     API_BASE: window.location.origin,
+    // Your site's key from the admin interface; required once any sites are set up
+    SITE_KEY: '',
     // Current page URL - this automatically detects the page the comment is on
     PAGE_URL: window.location.href,
     // Character limits (should match backend validation)
     MAX_NAME_LENGTH: 100,
-    MAX_COMMENT_LENGTH: 1000
+    MAX_COMMENT_LENGTH: 1000,
+    // Replies nest up to this depth; deeper replies are shown at the last level
+    MAX_DEPTH: 3,
+    // Number of top-level comments (with their replies) fetched per page
+    PAGE_SIZE: 20,
+    // Order of top-level comments: 'oldest', 'newest' or 'top' (most upvoted); readers can change it
+    SORT: 'oldest',
+    // Offer commenters an email when someone replies; needs email set up on the Worker
+    REPLY_NOTIFICATIONS: false
 };
 
 // DOM Elements
 const elements = {
     form: document.getElementById('comment-form'),
     authorName: document.getElementById('author-name'),
+    notifyEmailGroup: document.getElementById('notify-email-group'),
+    notifyEmail: document.getElementById('notify-email'),
     commentContent: document.getElementById('comment-content'),
     submitBtn: document.getElementById('submit-btn'),
     btnText: document.querySelector('.btn-text'),
@@ -25,13 +37,63 @@ const elements = {
     loading: document.getElementById('loading'),
     noComments: document.getElementById('no-comments'),
     commentCount: document.getElementById('comment-count'),
-    charCount: document.getElementById('char-count')
+    charCount: document.getElementById('char-count'),
+    replyIndicator: document.getElementById('reply-indicator'),
+    replyToName: document.getElementById('reply-to-name'),
+    cancelReply: document.getElementById('cancel-reply'),
+    loadMore: document.getElementById('load-more'),
+    commentSort: document.getElementById('comment-sort'),
+    honeypot: document.getElementById('website'),
+    editorTabs: document.querySelectorAll('.editor-tab'),
+    commentPreview: document.getElementById('comment-preview'),
+    captchaContainer: document.getElementById('captcha-container')
 };
 
+// ID of the comment being replied to, if any
+let replyToId = null;
+
+// Timers for the auto-hiding form message and the rate limit countdown
+let messageTimer = null;
+let rateLimitTimer = null;
+
+// Signed timestamp of when the form was loaded, checked by the server's spam filter
+let formToken = null;
+
+// CAPTCHA settings from the server, or null when no challenge is required
+let captcha = null;
+
+// Comments loaded so far, how many pages they span and the cursor for the next page
+let loadedComments = [];
+let pagesLoaded = 0;
+let nextCursor = null;
+
+// The order the list is in, from the sort selector
+let currentSort = CONFIG.SORT;
+
+// New, edited and removed comments are applied to the list as they happen (see comment-live.js)
+const live = createLiveUpdates({
+    apiBase: CONFIG.API_BASE,
+    pageUrl: CONFIG.PAGE_URL,
+    siteKey: CONFIG.SITE_KEY,
+    list: elements.commentsList,
+    noComments: elements.noComments,
+    commentCount: elements.commentCount,
+    maxDepth: CONFIG.MAX_DEPTH,
+    comments: () => loadedComments,
+    hasMorePages: () => nextCursor !== null,
+    sort: () => currentSort,
+    renderComment: (comment, depth) => createCommentHTML(comment, depth, { maxDepth: CONFIG.MAX_DEPTH }),
+    reload: () => loadComments()
+});
+
 // Initialize the comment system
 document.addEventListener('DOMContentLoaded', function() {
     initializeEventListeners();
     loadComments();
+    loadFormToken();
+    // Form tokens expire after a few hours, so a page left open gets a fresh one every hour
+    setInterval(loadFormToken, 60 * 60 * 1000);
+    loadCaptcha();
     updateCharCount();
 });
 
@@ -47,6 +109,39 @@ function initializeEventListeners() {
         elements.commentContent.addEventListener('input', updateCharCount);
     }
 
+    // Reply buttons are re-rendered with the list, so listen on the container
+    if (elements.commentsList) {
+        elements.commentsList.addEventListener('click', handleReplyClick);
+        elements.commentsList.addEventListener('click', handleOwnCommentClick);
+        elements.commentsList.addEventListener('click', handleReactionClick);
+        elements.commentsList.addEventListener('click', handleReportClick);
+    }
+
+    if (elements.commentSort) {
+        elements.commentSort.value = currentSort;
+        elements.commentSort.addEventListener('change', () => {
+            currentSort = elements.commentSort.value;
+            loadComments();
+        });
+    }
+
+    if (elements.cancelReply) {
+        elements.cancelReply.addEventListener('click', cancelReply);
+    }
+
+    if (elements.loadMore) {
+        elements.loadMore.addEventListener('click', loadMoreComments);
+    }
+
+    // Write / Preview tabs above the comment box
+    elements.editorTabs.forEach(tab => {
+        tab.addEventListener('click', () => showEditorTab(tab.dataset.tab));
+    });
+
+    if (CONFIG.REPLY_NOTIFICATIONS && elements.notifyEmailGroup) {
+        elements.notifyEmailGroup.style.display = 'block';
+    }
+
     // Auto-focus on name field if empty
     if (elements.authorName && !elements.authorName.value) {
         elements.authorName.focus();
@@ -67,6 +162,12 @@ async function handleFormSubmit(event) {
         return;
     }
 
+    const captchaToken = getCaptchaToken();
+    if (captcha && !captchaToken) {
+        showFormMessage('Please complete the CAPTCHA.', 'error');
+        return;
+    }
+
     // Show loading state
     setFormLoading(true);
 
@@ -77,18 +178,39 @@ async function handleFormSubmit(event) {
                 'Content-Type': 'application/json',
             },
             body: JSON.stringify({
+                site_key: CONFIG.SITE_KEY || undefined,
                 page_url: CONFIG.PAGE_URL,
                 author_name: authorName,
-                comment_content: commentContent
+                comment_content: commentContent,
+                parent_id: replyToId,
+                notify_email: CONFIG.REPLY_NOTIFICATIONS && elements.notifyEmail
+                    ? elements.notifyEmail.value.trim() || undefined
+                    : undefined,
+                website: elements.honeypot ? elements.honeypot.value : '',
+                form_token: formToken,
+                captcha_token: captchaToken
             })
         });
+        resetCaptcha();
 
         const data = await response.json();
 
         if (response.ok && data.success) {
-            showFormMessage('Comment posted successfully!', 'success');
+            // Comments held for moderation won't show up in the list yet
+            const message = data.comment.status === 'pending'
+                ? 'Thanks! Your comment is awaiting moderation.'
+                : 'Comment posted successfully!';
+            showFormMessage(message, 'success');
+            if (data.edit_token) {
+                rememberEditToken(data.comment.id, data.edit_token, data.edit_expires_at);
+            }
             clearForm();
-            loadComments(); // Reload comments to show the new one
+            showEditorTab('write');
+            live.refresh(); // Add the new comment to the list without reloading it
+        } else if (response.status === 429) {
+            // Too many comments: the server says how long to wait
+            const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || data.retry_after || 60;
+            startRateLimitCountdown(retryAfter);
         } else {
             showFormMessage(data.error || 'Failed to post comment. Please try again.', 'error');
         }
@@ -100,6 +222,92 @@ async function handleFormSubmit(event) {
     }
 }
 
+// Handle clicks on a comment's Reply button
+function handleReplyClick(event) {
+    const replyBtn = event.target.closest('.reply-btn');
+    if (!replyBtn) return;
+
+    const authorName = replyBtn.closest('.comment').querySelector('.comment-author').textContent;
+    startReply(Number(replyBtn.dataset.commentId), authorName);
+}
+
+// Handle the Edit, Save, Cancel and Delete buttons on the reader's own comments
+function handleOwnCommentClick(event) {
+    const button = event.target.closest('.edit-comment-btn, .delete-comment-btn, .save-edit-btn, .cancel-edit-btn');
+    if (!button) return;
+
+    const element = button.closest('.comment');
+    const comment = findLoadedComment(Number(element.dataset.commentId));
+    if (!comment) return;
+
+    if (button.classList.contains('cancel-edit-btn')) {
+        stopEditing(element, comment);
+        return;
+    }
+
+    // The buttons stay on screen after the edit window closes, until they're next used
+    if (!getEditToken(comment.id)) {
+        stopEditing(element, comment);
+        element.querySelectorAll(':scope > .edit-comment-btn, :scope > .delete-comment-btn').forEach(btn => btn.remove());
+        showFormMessage('This comment can no longer be changed.', 'error');
+        return;
+    }
+
+    if (button.classList.contains('edit-comment-btn')) {
+        startEditing(element, comment);
+    } else if (button.classList.contains('save-edit-btn')) {
+        saveEdit(element, comment);
+    } else {
+        deleteOwnComment(comment);
+    }
+}
+
+// Handle clicks on a comment's reaction buttons
+function handleReactionClick(event) {
+    const button = event.target.closest('.reaction-btn');
+    if (!button || button.disabled) return;
+
+    const comment = findLoadedComment(Number(button.closest('.comment').dataset.commentId));
+    if (comment) {
+        toggleReaction(comment, button.dataset.reaction, button);
+    }
+}
+
+// Handle clicks on a comment's Report button
+function handleReportClick(event) {
+    const button = event.target.closest('.report-comment-btn');
+    if (!button || button.disabled) return;
+
+    const comment = findLoadedComment(Number(button.dataset.commentId));
+    if (comment) {
+        reportComment(comment, button);
+    }
+}
+
+// Point the form at a parent comment
+function startReply(commentId, authorName) {
+    replyToId = commentId;
+
+    if (elements.replyToName) {
+        elements.replyToName.textContent = authorName;
+    }
+    if (elements.replyIndicator) {
+        elements.replyIndicator.style.display = 'flex';
+    }
+    if (elements.commentContent) {
+        elements.commentContent.focus();
+    }
+}
+
+// Go back to posting a top-level comment
+function cancelReply() {
+    replyToId = null;
+
+    if (elements.replyIndicator) {
+        elements.replyIndicator.style.display = 'none';
+    }
+}
+
 // Validate comment form
 function validateCommentForm(authorName, commentContent) {
     if (!authorName) {
@@ -121,10 +329,191 @@ function validateCommentForm(authorName, commentContent) {
     return null; // No validation errors
 }
 
+// Swap a comment's text for an editor holding its markdown source
+function startEditing(element, comment) {
+    const content = element.querySelector(':scope > .comment-content');
+    if (content.querySelector('.comment-edit-form')) return;
+
+    content.innerHTML = `
+        <div class="form-group comment-edit-form">
+            <textarea maxlength="${CONFIG.MAX_COMMENT_LENGTH}">${escapeHtml(comment.comment_content)}</textarea>
+            <div class="comment-edit-actions">
+                <button type="button" class="submit-btn save-edit-btn">Save</button>
+                <button type="button" class="cancel-edit-btn">Cancel</button>
+            </div>
+        </div>
+    `;
+    content.querySelector('textarea').focus();
+}
+
+function stopEditing(element, comment) {
+    element.querySelector(':scope > .comment-content').innerHTML = renderCommentContent(comment);
+}
+
+async function saveEdit(element, comment) {
+    const textarea = element.querySelector(':scope > .comment-content textarea');
+    const saveBtn = element.querySelector(':scope > .comment-content .save-edit-btn');
+    const commentContent = textarea.value.trim();
+
+    const validationError = validateCommentForm(comment.author_name, commentContent);
+    if (validationError) {
+        showFormMessage(validationError, 'error');
+        return;
+    }
+
+    textarea.disabled = true;
+    saveBtn.disabled = true;
+
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/${comment.id}`, {
+            method: 'PATCH',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Edit-Token': getEditToken(comment.id)
+            },
+            body: JSON.stringify({
+                comment_content: commentContent
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            // An edit can send the comment back for moderation, which takes it off the list for now
+            if (data.comment.status === 'approved') {
+                live.updateComment(data.comment);
+            } else {
+                live.removeComment(comment.id);
+                showFormMessage('Thanks! Your edit is awaiting moderation.', 'success');
+            }
+            live.refresh();
+            return;
+        }
+
+        showFormMessage(data.error || 'Failed to save your changes. Please try again.', 'error');
+    } catch (error) {
+        console.error('Error editing comment:', error);
+        showFormMessage('Network error. Please check your connection and try again.', 'error');
+    }
+
+    textarea.disabled = false;
+    saveBtn.disabled = false;
+}
+
+async function deleteOwnComment(comment) {
+    if (!confirm('Delete your comment? This cannot be undone.')) return;
+
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/${comment.id}`, {
+            method: 'DELETE',
+            headers: {
+                'X-Edit-Token': getEditToken(comment.id)
+            }
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            forgetEditToken(comment.id);
+            live.removeComment(comment.id);
+            showFormMessage('Your comment was deleted.', 'success');
+            live.refresh();
+        } else {
+            showFormMessage(data.error || 'Failed to delete comment. Please try again.', 'error');
+        }
+    } catch (error) {
+        console.error('Error deleting comment:', error);
+        showFormMessage('Network error. Please check your connection and try again.', 'error');
+    }
+}
+
+async function toggleReaction(comment, reaction, button) {
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/${comment.id}/reactions`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                site_key: CONFIG.SITE_KEY || undefined,
+                reaction,
+                voter_id: getVoterId()
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            const mine = loadMyReactions();
+            const others = (mine[comment.id] || []).filter(other => other !== reaction);
+            mine[comment.id] = data.reacted ? others.concat(reaction) : others;
+            if (mine[comment.id].length === 0) {
+                delete mine[comment.id];
+            }
+            saveMyReactions(mine);
+
+            comment.reactions = data.reactions;
+            updateReactions(comment);
+            return;
+        }
+
+        showFormMessage(data.error || 'Failed to save your reaction. Please try again.', 'error');
+    } catch (error) {
+        console.error('Error saving reaction:', error);
+        showFormMessage('Network error. Please check your connection and try again.', 'error');
+    }
+
+    button.disabled = false;
+}
+
+// Ask the reader why they are reporting a comment, then send the report to the moderators
+async function reportComment(comment, button) {
+    const reason = window.prompt(`Why are you reporting ${comment.author_name}'s comment?`);
+    if (reason === null) return;
+    if (!reason.trim()) {
+        showFormMessage('Please say why you are reporting this comment.', 'error');
+        return;
+    }
+
+    button.disabled = true;
+
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/${comment.id}/report`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                site_key: CONFIG.SITE_KEY || undefined,
+                reason: reason.trim(),
+                voter_id: getVoterId()
+            })
+        });
+
+        const data = await response.json();
+
+        if (response.ok && data.success) {
+            button.textContent = 'Reported';
+            showFormMessage(data.message, 'success');
+            return;
+        }
+
+        showFormMessage(data.error || 'Failed to send your report. Please try again.', 'error');
+    } catch (error) {
+        console.error('Error reporting comment:', error);
+        showFormMessage('Network error. Please check your connection and try again.', 'error');
+    }
+
+    button.disabled = false;
+}
+
 // Set form loading state
 function setFormLoading(isLoading) {
     if (elements.submitBtn) {
-        elements.submitBtn.disabled = isLoading;
+        // Stay disabled while a rate limit countdown is running
+        elements.submitBtn.disabled = isLoading || rateLimitTimer !== null;
     }
 
     if (elements.btnText) {
@@ -153,8 +542,9 @@ function showFormMessage(message, type) {
     elements.formMessage.style.display = 'block';
 
     // Auto-hide after 5 seconds for success messages
+    clearTimeout(messageTimer);
     if (type === 'success') {
-        setTimeout(() => {
+        messageTimer = setTimeout(() => {
             hideFormMessage();
         }, 5000);
     }
@@ -172,12 +562,41 @@ function hideFormMessage() {
     }
 }
 
+// Lock the form and count down until the rate limit resets
+function startRateLimitCountdown(seconds) {
+    clearInterval(rateLimitTimer);
+    let remaining = seconds;
+
+    showFormMessage(rateLimitMessage(remaining), 'error');
+    if (elements.submitBtn) {
+        elements.submitBtn.disabled = true;
+    }
+
+    rateLimitTimer = setInterval(() => {
+        remaining--;
+        if (remaining > 0) {
+            if (elements.formMessage) {
+                elements.formMessage.textContent = rateLimitMessage(remaining);
+            }
+            return;
+        }
+
+        clearInterval(rateLimitTimer);
+        rateLimitTimer = null;
+        hideFormMessage();
+        if (elements.submitBtn) {
+            elements.submitBtn.disabled = false;
+        }
+    }, 1000);
+}
+
 // Clear form after successful submission
 function clearForm() {
     if (elements.form) {
         elements.form.reset();
     }
     updateCharCount();
+    cancelReply();
 
     // Focus back to name field for next comment
     if (elements.authorName) {
@@ -203,6 +622,112 @@ function updateCharCount() {
     }
 }
 
+// Switch between writing the comment and previewing it as it will be shown
+async function showEditorTab(name) {
+    if (!elements.commentContent || !elements.commentPreview) return;
+
+    elements.editorTabs.forEach(tab => {
+        tab.classList.toggle('active', tab.dataset.tab === name);
+    });
+
+    const previewing = name === 'preview';
+    elements.commentContent.style.display = previewing ? 'none' : '';
+    elements.commentPreview.style.display = previewing ? 'block' : 'none';
+    if (!previewing) {
+        elements.commentContent.focus();
+        return;
+    }
+
+    // The server renders the preview so it matches the posted comment exactly
+    elements.commentPreview.textContent = 'Loading preview...';
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/preview`, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+            },
+            body: JSON.stringify({
+                comment_content: elements.commentContent.value
+            })
+        });
+
+        const data = await response.json();
+        if (!response.ok) {
+            throw new Error(data.error || 'Failed to render preview');
+        }
+
+        elements.commentPreview.innerHTML = data.comment_html || '<p class="preview-empty">Nothing to preview.</p>';
+    } catch (error) {
+        console.error('Error rendering preview:', error);
+        elements.commentPreview.textContent = 'Preview unavailable. Please try again.';
+    }
+}
+
+// Fetch a form token so the spam filter can tell how long the form was open
+async function loadFormToken() {
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/form-token`);
+        const data = await response.json();
+        formToken = data.token;
+    } catch (error) {
+        console.error('Error loading form token:', error);
+    }
+}
+
+// Render the CAPTCHA challenge if the server requires one
+async function loadCaptcha() {
+    if (!elements.captchaContainer) return;
+
+    try {
+        const response = await fetch(`${CONFIG.API_BASE}/api/comments/captcha`);
+        const data = await response.json();
+        captcha = data.captcha;
+    } catch (error) {
+        console.error('Error loading CAPTCHA settings:', error);
+        return;
+    }
+
+    if (!captcha) return;
+    elements.captchaContainer.style.display = 'block';
+
+    // The test stubs have nothing to render
+    if (!captcha.script_url) {
+        const stub = document.createElement('p');
+        stub.className = 'captcha-stub';
+        stub.textContent = `Test CAPTCHA: ${captcha.provider}`;
+        elements.captchaContainer.appendChild(stub);
+        return;
+    }
+
+    // The provider's script renders every element with its widget class when it loads
+    const widget = document.createElement('div');
+    widget.className = captcha.widget_class;
+    widget.dataset.sitekey = captcha.site_key;
+    elements.captchaContainer.appendChild(widget);
+
+    const script = document.createElement('script');
+    script.src = captcha.script_url;
+    script.async = true;
+    script.defer = true;
+    document.head.appendChild(script);
+}
+
+// Get the token the CAPTCHA widget added to the form
+function getCaptchaToken() {
+    if (!captcha) return null;
+    if (!captcha.script_url) return 'stub';
+
+    const field = elements.form.querySelector(`[name="${captcha.response_field}"]`);
+    return field ? field.value : '';
+}
+
+// CAPTCHA tokens can only be verified once, so get a fresh challenge after each attempt
+function resetCaptcha() {
+    if (captcha && captcha.global && window[captcha.global]) {
+        window[captcha.global].reset();
+    }
+}
+
 // Load comments for the current page
 async function loadComments() {
     if (!elements.loading || !elements.commentsList) return;
@@ -213,15 +738,12 @@ async function loadComments() {
         if (elements.commentsList) elements.commentsList.style.display = 'none';
         if (elements.noComments) elements.noComments.style.display = 'none';
 
-        const encodedPageUrl = encodeURIComponent(CONFIG.PAGE_URL);
-        const response = await fetch(`${CONFIG.API_BASE}/api/comments?page_url=${encodedPageUrl}`);
-
-        if (!response.ok) {
-            throw new Error('Failed to load comments');
-        }
-
-        const data = await response.json();
-        displayComments(data.comments || []);
+        const data = await fetchCommentsPage(null);
+        loadedComments = data.comments || [];
+        pagesLoaded = 1;
+        nextCursor = data.next_cursor || null;
+        displayComments(loadedComments, data.total);
+        live.start(data.last_event_id);
 
     } catch (error) {
         console.error('Error loading comments:', error);
@@ -238,8 +760,53 @@ async function loadComments() {
     }
 }
 
+// Fetch one page of comments; a null cursor means the first page
+async function fetchCommentsPage(cursor) {
+    const params = new URLSearchParams({
+        page_url: CONFIG.PAGE_URL,
+        sort: currentSort,
+        limit: CONFIG.PAGE_SIZE
+    });
+    if (CONFIG.SITE_KEY) {
+        params.set('site_key', CONFIG.SITE_KEY);
+    }
+    if (cursor) {
+        params.set('cursor', cursor);
+    }
+
+    const response = await fetch(`${CONFIG.API_BASE}/api/comments?${params}`);
+
+    if (!response.ok) {
+        throw new Error('Failed to load comments');
+    }
+
+    return response.json();
+}
+
+// Append the next page of comments to the list
+async function loadMoreComments() {
+    if (!nextCursor || !elements.loadMore) return;
+
+    elements.loadMore.disabled = true;
+    elements.loadMore.textContent = 'Loading...';
+
+    try {
+        const data = await fetchCommentsPage(nextCursor);
+        loadedComments = loadedComments.concat(data.comments || []);
+        pagesLoaded++;
+        nextCursor = data.next_cursor || null;
+        displayComments(loadedComments, data.total);
+    } catch (error) {
+        console.error('Error loading more comments:', error);
+        showFormMessage('Unable to load more comments. Please try again.', 'error');
+    } finally {
+        elements.loadMore.disabled = false;
+        elements.loadMore.textContent = 'Load more comments';
+    }
+}
+
 // Display comments in the list
-function displayComments(comments) {
+function displayComments(comments, total = comments.length) {
     if (!elements.loading || !elements.commentsList || !elements.noComments) return;
 
     // Hide loading state
@@ -247,7 +814,12 @@ function displayComments(comments) {
 
     // Update comment count
     if (elements.commentCount) {
-        elements.commentCount.textContent = comments.length;
+        elements.commentCount.textContent = total;
+    }
+
+    // Offer the next page while there is one
+    if (elements.loadMore) {
+        elements.loadMore.style.display = nextCursor ? 'block' : 'none';
     }
 
     if (comments.length === 0) {
@@ -262,7 +834,7 @@ function displayComments(comments) {
     if (elements.noComments) elements.noComments.style.display = 'none';
 
     // Render comments
-    elements.commentsList.innerHTML = comments.map(comment => createCommentHTML(comment)).join('');
+    elements.commentsList.innerHTML = renderThread(comments, { maxDepth: CONFIG.MAX_DEPTH });
 
     // Add animation for new comments (if this is a refresh after posting)
     const newComments = elements.commentsList.querySelectorAll('.comment.new');
@@ -274,104 +846,26 @@ function displayComments(comments) {
     });
 }
 
-// Create HTML for a single comment
-function createCommentHTML(comment) {
-    const escapedName = escapeHtml(comment.author_name);
-    const escapedContent = escapeHtml(comment.comment_content);
-    const formattedDate = formatDate(comment.created_at);
-
-    return `
-        <div class="comment" data-comment-id="${comment.id}">
-            <div class="comment-header">
-                <span class="comment-author">${escapedName}</span>
-                <span class="comment-date" title="${formattedDate}">${formatRelativeTime(comment.created_at)}</span>
-            </div>
-            <div class="comment-content">
-                <p>${escapeHtml(escapedContent)}</p>
-            </div>
-        </div>
-    `;
-}
-
-// Escape HTML to prevent XSS
-function escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+function findLoadedComment(id) {
+    return loadedComments.find(comment => comment.id === id);
 }
 
-// Format date in a user-friendly way
-function formatDate(dateString) {
-    const date = new Date(dateString);
-    return date.toLocaleDateString(undefined, {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-    });
+function findCommentElement(id) {
+    return elements.commentsList.querySelector(`.comment[data-comment-id="${Number(id)}"]`);
 }
 
-// Format relative time (e.g., "2 hours ago")
-function formatRelativeTime(dateString) {
-    const date = new Date(dateString);
-    const now = new Date();
-    const diffInSeconds = Math.floor((now - date) / 1000);
-
-    if (diffInSeconds < 60) {
-        return 'just now';
-    } else if (diffInSeconds < 3600) {
-        const minutes = Math.floor(diffInSeconds / 60);
-        return `${minutes} minute${minutes !== 1 ? 's' : ''} ago`;
-    } else if (diffInSeconds < 86400) {
-        const hours = Math.floor(diffInSeconds / 3600);
-        return `${hours} hour${hours !== 1 ? 's' : ''} ago`;
-    } else if (diffInSeconds < 604800) {
-        const days = Math.floor(diffInSeconds / 86400);
-        return `${days} day${days !== 1 ? 's' : ''} ago`;
-    } else {
-        return formatDate(dateString);
+// Redraw a comment's reaction buttons after its counts or the reader's reactions change
+function updateReactions(comment) {
+    const element = findCommentElement(comment.id);
+    const html = renderReactions(comment, loadMyReactions()[comment.id]);
+    const reactions = element && element.querySelector(':scope > .comment-reactions');
+    if (reactions) {
+        reactions.outerHTML = html;
+    } else if (element) {
+        element.querySelector(':scope > .comment-content').insertAdjacentHTML('afterend', html);
     }
 }
 
 // Make functions available globally for inline event handlers
 window.loadComments = loadComments;
 window.hideFormMessage = hideFormMessage;
-
-// Auto-refresh comments every 30 seconds (optional - can be disabled for performance)
-let autoRefreshInterval;
-function startAutoRefresh() {
-    // Only auto-refresh on the comment widget page, not on embedded forms
-    if (window.location.pathname.includes('/comment-widget')) {
-        autoRefreshInterval = setInterval(() => {
-            // Don't refresh if user is typing
-            if (document.activeElement !== elements.commentContent) {
-                loadComments();
-            }
-        }, 30000); // 30 seconds
-    }
-}
-
-function stopAutoRefresh() {
-    if (autoRefreshInterval) {
-        clearInterval(autoRefreshInterval);
-    }
-}
-
-// Start auto-refresh when page loads
-startAutoRefresh();
-
-// Stop auto-refresh when page is hidden
-document.addEventListener('visibilitychange', function() {
-    if (document.hidden) {
-        stopAutoRefresh();
-    } else {
-        startAutoRefresh();
-        loadComments(); // Refresh when page becomes visible again
-    }
-});
-
-// Clean up on page unload
-window.addEventListener('beforeunload', function() {
-    stopAutoRefresh();
-});
\ No newline at end of file
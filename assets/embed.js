@@ -0,0 +1,823 @@
+// Blog Comment System - embeddable widget
+// Served by the Worker at /embed.js, wrapped in one script together with comment-render.js
+// (renderThread, the edit tokens and reactions kept in localStorage), comment-live.js (createLiveUpdates)
+// and comment-system.css (WIDGET_CSS), so a single tag is all a page needs:
+//
+//   <script src="https://your-worker.workers.dev/embed.js" data-site="your-site-key" async></script>
+//
+// Each widget is mounted in its own Shadow DOM, so the blog's styles and the widget's don't affect each other,
+// and any number of widgets can share a page. Options are data attributes on the script tag:
+//   data-site        The site key from the admin interface (required once sites are set up)
+//   data-page-url    The page the comments belong to (default: the current page)
+//   data-target      A CSS selector; a widget is mounted into every matching element instead of after the script.
+//                    Each element can set its own data-page-url, data-max-depth, data-page-size and data-sort.
+//   data-max-depth   How deeply replies nest (default: 3)
+//   data-page-size   Top-level comments fetched per page (default: 20)
+//   data-sort        The order comments start in: "oldest" (default), "newest" or "top"; readers can change it
+//   data-reply-notifications
+//                    Present to offer commenters an email when someone replies (needs email set up on the Worker)
+
+// Character limits (should match backend validation)
+const MAX_NAME_LENGTH = 100;
+const MAX_COMMENT_LENGTH = 1000;
+
+// Widget markup; IDs are scoped to each widget's shadow root
+const WIDGET_HTML = `
+    <div class="comment-form-container">
+        <h3>Leave a Comment</h3>
+        <div id="reply-indicator" class="reply-indicator" style="display: none;">
+            <span>Replying to <strong id="reply-to-name"></strong></span>
+            <button type="button" id="cancel-reply" class="cancel-reply-btn">Cancel</button>
+        </div>
+        <form id="comment-form">
+            <div class="form-group">
+                <label for="author-name">Name:</label>
+                <input type="text" id="author-name" name="author_name" required maxlength="${MAX_NAME_LENGTH}">
+                <small class="form-help">Your name as it will appear on the comment</small>
+            </div>
+            <div id="notify-email-group" class="form-group" style="display: none;">
+                <label for="notify-email">Email (optional):</label>
+                <input type="email" id="notify-email" name="notify_email" maxlength="254">
+                <small class="form-help">Get an email when someone replies. Your address is never shown.</small>
+            </div>
+            <div class="form-group">
+                <label for="comment-content">Comment:</label>
+                <div class="editor-tabs">
+                    <button type="button" class="editor-tab active" data-tab="write">Write</button>
+                    <button type="button" class="editor-tab" data-tab="preview">Preview</button>
+                </div>
+                <textarea id="comment-content" name="comment_content" required maxlength="${MAX_COMMENT_LENGTH}" rows="4"></textarea>
+                <div id="comment-preview" class="comment-preview comment-content" style="display: none;"></div>
+                <small class="form-help">
+                    <span id="char-count">0</span>/${MAX_COMMENT_LENGTH} characters.
+                    Supports **bold**, *italics*, \`code\`, \`\`\` code blocks and links.
+                </small>
+            </div>
+            <div class="hp-field" aria-hidden="true">
+                <label for="website">Leave this field empty:</label>
+                <input type="text" id="website" name="website" tabindex="-1" autocomplete="off">
+            </div>
+            <div id="captcha-container" class="form-group captcha-container" style="display: none;"></div>
+            <button type="submit" id="submit-btn" class="submit-btn">
+                <span class="btn-text">Post Comment</span>
+                <span class="btn-loading" style="display: none;">Posting...</span>
+            </button>
+        </form>
+        <div id="form-message" class="form-message" style="display: none;"></div>
+    </div>
+    <div class="comments-container">
+        <div class="comments-header">
+            <h3>Comments (<span id="comment-count">0</span>)</h3>
+            <label class="comment-sort">
+                Sort by
+                <select id="comment-sort">
+                    <option value="oldest">Oldest</option>
+                    <option value="newest">Newest</option>
+                    <option value="top">Top</option>
+                </select>
+            </label>
+        </div>
+        <div id="loading" class="loading">
+            <div class="spinner"></div>
+            <p>Loading comments...</p>
+        </div>
+        <div id="comments-list" style="display: none;"></div>
+        <button type="button" id="load-more" class="load-more-btn" style="display: none;">Load more comments</button>
+        <div id="no-comments" class="no-comments" style="display: none;">
+            <p>No comments yet. Be the first to comment!</p>
+        </div>
+    </div>
+`;
+
+// comment-system.css styles the page body; inside a shadow root the host element takes its place
+const HOST_CSS = `
+    :host {
+        display: block;
+        font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, Oxygen, Ubuntu, Cantarell, sans-serif;
+        line-height: 1.6;
+        color: #333;
+    }
+`;
+
+// The Worker this script was loaded from; every widget talks to it
+const SCRIPT = document.currentScript;
+const API_BASE = new URL(SCRIPT.src).origin;
+
+// CAPTCHA provider scripts, loaded once and shared by every widget on the page
+const captchaScripts = new Map();
+
+function loadCaptchaScript(captcha) {
+    if (!captchaScripts.has(captcha.script_url)) {
+        captchaScripts.set(captcha.script_url, new Promise((resolve, reject) => {
+            // Explicit rendering, because the providers can't find widgets inside a shadow root themselves
+            const script = document.createElement('script');
+            script.src = `${captcha.script_url}?render=explicit`;
+            script.async = true;
+            script.onload = () => resolve(window[captcha.global]);
+            script.onerror = () => reject(new Error(`Failed to load ${captcha.script_url}`));
+            document.head.appendChild(script);
+        }));
+    }
+    return captchaScripts.get(captcha.script_url);
+}
+
+// Read a whole-number option, falling back to the default
+function parseOption(value, defaultValue) {
+    const number = parseInt(value, 10);
+    return Number.isInteger(number) && number >= 0 ? number : defaultValue;
+}
+
+// Mount a comment widget into an element
+function mountWidget(container, options) {
+    const root = container.attachShadow({ mode: 'open' });
+    root.innerHTML = `<style>${WIDGET_CSS}${HOST_CSS}</style>${WIDGET_HTML}`;
+
+    const elements = {
+        form: root.getElementById('comment-form'),
+        authorName: root.getElementById('author-name'),
+        notifyEmail: root.getElementById('notify-email'),
+        commentContent: root.getElementById('comment-content'),
+        submitBtn: root.getElementById('submit-btn'),
+        btnText: root.querySelector('.btn-text'),
+        btnLoading: root.querySelector('.btn-loading'),
+        formMessage: root.getElementById('form-message'),
+        commentsList: root.getElementById('comments-list'),
+        loading: root.getElementById('loading'),
+        noComments: root.getElementById('no-comments'),
+        commentCount: root.getElementById('comment-count'),
+        charCount: root.getElementById('char-count'),
+        replyIndicator: root.getElementById('reply-indicator'),
+        replyToName: root.getElementById('reply-to-name'),
+        cancelReply: root.getElementById('cancel-reply'),
+        loadMore: root.getElementById('load-more'),
+        commentSort: root.getElementById('comment-sort'),
+        honeypot: root.getElementById('website'),
+        editorTabs: root.querySelectorAll('.editor-tab'),
+        commentPreview: root.getElementById('comment-preview'),
+        captchaContainer: root.getElementById('captcha-container')
+    };
+
+    // ID of the comment being replied to, if any
+    let replyToId = null;
+
+    // Timers for the auto-hiding form message and the rate limit countdown
+    let messageTimer = null;
+    let rateLimitTimer = null;
+
+    // Signed timestamp of when the form was loaded, checked by the server's spam filter
+    let formToken = null;
+
+    // CAPTCHA settings from the server and the rendered challenge's ID, if one is required
+    let captcha = null;
+    let captchaWidgetId = null;
+
+    // Comments loaded so far, the cursor for the next page and the order they're in
+    let loadedComments = [];
+    let nextCursor = null;
+    let currentSort = options.sort;
+
+    // Each widget follows its own page's changes live
+    const live = createLiveUpdates({
+        apiBase: API_BASE,
+        pageUrl: options.pageUrl,
+        siteKey: options.siteKey,
+        list: elements.commentsList,
+        noComments: elements.noComments,
+        commentCount: elements.commentCount,
+        maxDepth: options.maxDepth,
+        comments: () => loadedComments,
+        hasMorePages: () => nextCursor !== null,
+        sort: () => currentSort,
+        renderComment: (comment, depth) => createCommentHTML(comment, depth, { maxDepth: options.maxDepth }),
+        reload: () => loadComments()
+    });
+
+    async function handleFormSubmit(event) {
+        event.preventDefault();
+
+        const authorName = elements.authorName.value.trim();
+        const commentContent = elements.commentContent.value.trim();
+
+        const validationError = validateCommentForm(authorName, commentContent);
+        if (validationError) {
+            showFormMessage(validationError, 'error');
+            return;
+        }
+
+        const captchaToken = getCaptchaToken();
+        if (captcha && !captchaToken) {
+            showFormMessage('Please complete the CAPTCHA.', 'error');
+            return;
+        }
+
+        setFormLoading(true);
+
+        try {
+            const response = await fetch(`${API_BASE}/api/comments`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    site_key: options.siteKey || undefined,
+                    page_url: options.pageUrl,
+                    author_name: authorName,
+                    comment_content: commentContent,
+                    parent_id: replyToId,
+                    notify_email: options.replyNotifications ? elements.notifyEmail.value.trim() || undefined : undefined,
+                    website: elements.honeypot.value,
+                    form_token: formToken,
+                    captcha_token: captchaToken
+                })
+            });
+            resetCaptcha();
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                // Comments held for moderation won't show up in the list yet
+                const message = data.comment.status === 'pending'
+                    ? 'Thanks! Your comment is awaiting moderation.'
+                    : 'Comment posted successfully!';
+                showFormMessage(message, 'success');
+                if (data.edit_token) {
+                    rememberEditToken(data.comment.id, data.edit_token, data.edit_expires_at);
+                }
+                clearForm();
+                showEditorTab('write');
+                live.refresh(); // Add the new comment to the list without reloading it
+            } else if (response.status === 429) {
+                const retryAfter = parseInt(response.headers.get('Retry-After'), 10) || data.retry_after || 60;
+                startRateLimitCountdown(retryAfter);
+            } else {
+                showFormMessage(data.error || 'Failed to post comment. Please try again.', 'error');
+            }
+        } catch (error) {
+            console.error('Error posting comment:', error);
+            showFormMessage('Network error. Please check your connection and try again.', 'error');
+        } finally {
+            setFormLoading(false);
+        }
+    }
+
+    function validateCommentForm(authorName, commentContent) {
+        if (!authorName) {
+            return 'Please enter your name.';
+        }
+        if (authorName.length > MAX_NAME_LENGTH) {
+            return `Name must be ${MAX_NAME_LENGTH} characters or less.`;
+        }
+        if (!commentContent) {
+            return 'Please enter a comment.';
+        }
+        if (commentContent.length > MAX_COMMENT_LENGTH) {
+            return `Comment must be ${MAX_COMMENT_LENGTH} characters or less.`;
+        }
+        return null;
+    }
+
+    // Reply buttons are re-rendered with the list, so clicks are handled on the container
+    function handleReplyClick(event) {
+        const replyBtn = event.target.closest('.reply-btn');
+        if (!replyBtn) return;
+
+        replyToId = Number(replyBtn.dataset.commentId);
+        elements.replyToName.textContent = replyBtn.closest('.comment').querySelector('.comment-author').textContent;
+        elements.replyIndicator.style.display = 'flex';
+        elements.commentContent.focus();
+    }
+
+    function cancelReply() {
+        replyToId = null;
+        elements.replyIndicator.style.display = 'none';
+    }
+
+    // Edit, Save, Cancel and Delete on the reader's own comments
+    function handleOwnCommentClick(event) {
+        const button = event.target.closest('.edit-comment-btn, .delete-comment-btn, .save-edit-btn, .cancel-edit-btn');
+        if (!button) return;
+
+        const element = button.closest('.comment');
+        const comment = loadedComments.find(loaded => loaded.id === Number(element.dataset.commentId));
+        if (!comment) return;
+
+        if (button.classList.contains('cancel-edit-btn')) {
+            stopEditing(element, comment);
+            return;
+        }
+
+        // The buttons stay on screen after the edit window closes, until they're next used
+        if (!getEditToken(comment.id)) {
+            stopEditing(element, comment);
+            element.querySelectorAll(':scope > .edit-comment-btn, :scope > .delete-comment-btn').forEach(btn => btn.remove());
+            showFormMessage('This comment can no longer be changed.', 'error');
+            return;
+        }
+
+        if (button.classList.contains('edit-comment-btn')) {
+            startEditing(element, comment);
+        } else if (button.classList.contains('save-edit-btn')) {
+            saveEdit(element, comment);
+        } else {
+            deleteOwnComment(comment);
+        }
+    }
+
+    // Reaction buttons under each comment
+    function handleReactionClick(event) {
+        const button = event.target.closest('.reaction-btn');
+        if (!button || button.disabled) return;
+
+        const element = button.closest('.comment');
+        const comment = loadedComments.find(loaded => loaded.id === Number(element.dataset.commentId));
+        if (comment) {
+            toggleReaction(element, comment, button);
+        }
+    }
+
+    async function toggleReaction(element, comment, button) {
+        const reaction = button.dataset.reaction;
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/${comment.id}/reactions`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    site_key: options.siteKey || undefined,
+                    reaction,
+                    voter_id: getVoterId()
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                const mine = loadMyReactions();
+                const others = (mine[comment.id] || []).filter(other => other !== reaction);
+                mine[comment.id] = data.reacted ? others.concat(reaction) : others;
+                if (mine[comment.id].length === 0) {
+                    delete mine[comment.id];
+                }
+                saveMyReactions(mine);
+
+                comment.reactions = data.reactions;
+                element.querySelector(':scope > .comment-reactions').outerHTML = renderReactions(comment, mine[comment.id]);
+                return;
+            }
+
+            showFormMessage(data.error || 'Failed to save your reaction. Please try again.', 'error');
+        } catch (error) {
+            console.error('Error saving reaction:', error);
+            showFormMessage('Network error. Please check your connection and try again.', 'error');
+        }
+
+        button.disabled = false;
+    }
+
+    // Report buttons on other readers' comments
+    function handleReportClick(event) {
+        const button = event.target.closest('.report-comment-btn');
+        if (!button || button.disabled) return;
+
+        const comment = loadedComments.find(loaded => loaded.id === Number(button.dataset.commentId));
+        if (comment) {
+            reportComment(comment, button);
+        }
+    }
+
+    async function reportComment(comment, button) {
+        const reason = window.prompt(`Why are you reporting ${comment.author_name}'s comment?`);
+        if (reason === null) return;
+        if (!reason.trim()) {
+            showFormMessage('Please say why you are reporting this comment.', 'error');
+            return;
+        }
+
+        button.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/${comment.id}/report`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    site_key: options.siteKey || undefined,
+                    reason: reason.trim(),
+                    voter_id: getVoterId()
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                button.textContent = 'Reported';
+                showFormMessage(data.message, 'success');
+                return;
+            }
+
+            showFormMessage(data.error || 'Failed to send your report. Please try again.', 'error');
+        } catch (error) {
+            console.error('Error reporting comment:', error);
+            showFormMessage('Network error. Please check your connection and try again.', 'error');
+        }
+
+        button.disabled = false;
+    }
+
+    // Swap a comment's text for an editor holding its markdown source
+    function startEditing(element, comment) {
+        const content = element.querySelector(':scope > .comment-content');
+        if (content.querySelector('.comment-edit-form')) return;
+
+        content.innerHTML = `
+            <div class="form-group comment-edit-form">
+                <textarea maxlength="${MAX_COMMENT_LENGTH}">${escapeHtml(comment.comment_content)}</textarea>
+                <div class="comment-edit-actions">
+                    <button type="button" class="submit-btn save-edit-btn">Save</button>
+                    <button type="button" class="cancel-edit-btn">Cancel</button>
+                </div>
+            </div>
+        `;
+        content.querySelector('textarea').focus();
+    }
+
+    function stopEditing(element, comment) {
+        element.querySelector(':scope > .comment-content').innerHTML = renderCommentContent(comment);
+    }
+
+    async function saveEdit(element, comment) {
+        const textarea = element.querySelector(':scope > .comment-content textarea');
+        const saveBtn = element.querySelector(':scope > .comment-content .save-edit-btn');
+        const commentContent = textarea.value.trim();
+
+        const validationError = validateCommentForm(comment.author_name, commentContent);
+        if (validationError) {
+            showFormMessage(validationError, 'error');
+            return;
+        }
+
+        textarea.disabled = true;
+        saveBtn.disabled = true;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/${comment.id}`, {
+                method: 'PATCH',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'X-Edit-Token': getEditToken(comment.id)
+                },
+                body: JSON.stringify({
+                    comment_content: commentContent
+                })
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                // An edit can send the comment back for moderation, which takes it off the list for now
+                if (data.comment.status === 'approved') {
+                    live.updateComment(data.comment);
+                } else {
+                    live.removeComment(comment.id);
+                    showFormMessage('Thanks! Your edit is awaiting moderation.', 'success');
+                }
+                live.refresh();
+                return;
+            }
+
+            showFormMessage(data.error || 'Failed to save your changes. Please try again.', 'error');
+        } catch (error) {
+            console.error('Error editing comment:', error);
+            showFormMessage('Network error. Please check your connection and try again.', 'error');
+        }
+
+        textarea.disabled = false;
+        saveBtn.disabled = false;
+    }
+
+    async function deleteOwnComment(comment) {
+        if (!confirm('Delete your comment? This cannot be undone.')) return;
+
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/${comment.id}`, {
+                method: 'DELETE',
+                headers: {
+                    'X-Edit-Token': getEditToken(comment.id)
+                }
+            });
+
+            const data = await response.json();
+
+            if (response.ok && data.success) {
+                forgetEditToken(comment.id);
+                live.removeComment(comment.id);
+                showFormMessage('Your comment was deleted.', 'success');
+                live.refresh();
+            } else {
+                showFormMessage(data.error || 'Failed to delete comment. Please try again.', 'error');
+            }
+        } catch (error) {
+            console.error('Error deleting comment:', error);
+            showFormMessage('Network error. Please check your connection and try again.', 'error');
+        }
+    }
+
+    function setFormLoading(isLoading) {
+        // Stay disabled while a rate limit countdown is running
+        elements.submitBtn.disabled = isLoading || rateLimitTimer !== null;
+        elements.btnText.style.display = isLoading ? 'none' : 'inline';
+        elements.btnLoading.style.display = isLoading ? 'inline' : 'none';
+        elements.authorName.disabled = isLoading;
+        elements.commentContent.disabled = isLoading;
+    }
+
+    function showFormMessage(message, type) {
+        elements.formMessage.textContent = message;
+        elements.formMessage.className = `form-message ${type}`;
+        elements.formMessage.style.display = 'block';
+
+        clearTimeout(messageTimer);
+        if (type === 'success') {
+            messageTimer = setTimeout(hideFormMessage, 5000);
+        }
+    }
+
+    function hideFormMessage() {
+        elements.formMessage.style.display = 'none';
+    }
+
+    // Lock the form and count down until the rate limit resets
+    function startRateLimitCountdown(seconds) {
+        clearInterval(rateLimitTimer);
+        let remaining = seconds;
+
+        showFormMessage(rateLimitMessage(remaining), 'error');
+        elements.submitBtn.disabled = true;
+
+        rateLimitTimer = setInterval(() => {
+            remaining--;
+            if (remaining > 0) {
+                elements.formMessage.textContent = rateLimitMessage(remaining);
+                return;
+            }
+
+            clearInterval(rateLimitTimer);
+            rateLimitTimer = null;
+            hideFormMessage();
+            elements.submitBtn.disabled = false;
+        }, 1000);
+    }
+
+    function clearForm() {
+        elements.form.reset();
+        updateCharCount();
+        cancelReply();
+    }
+
+    function updateCharCount() {
+        const currentLength = elements.commentContent.value.length;
+        const remaining = MAX_COMMENT_LENGTH - currentLength;
+        elements.charCount.textContent = currentLength;
+        elements.charCount.style.color = remaining < 50 ? '#dc3545' : remaining < 100 ? '#ffc107' : '#6c757d';
+    }
+
+    // Switch between writing the comment and previewing it as it will be shown
+    async function showEditorTab(name) {
+        elements.editorTabs.forEach(tab => {
+            tab.classList.toggle('active', tab.dataset.tab === name);
+        });
+
+        const previewing = name === 'preview';
+        elements.commentContent.style.display = previewing ? 'none' : '';
+        elements.commentPreview.style.display = previewing ? 'block' : 'none';
+        if (!previewing) {
+            return;
+        }
+
+        elements.commentPreview.textContent = 'Loading preview...';
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/preview`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                },
+                body: JSON.stringify({
+                    comment_content: elements.commentContent.value
+                })
+            });
+
+            const data = await response.json();
+            if (!response.ok) {
+                throw new Error(data.error || 'Failed to render preview');
+            }
+
+            elements.commentPreview.innerHTML = data.comment_html || '<p class="preview-empty">Nothing to preview.</p>';
+        } catch (error) {
+            console.error('Error rendering preview:', error);
+            elements.commentPreview.textContent = 'Preview unavailable. Please try again.';
+        }
+    }
+
+    async function loadFormToken() {
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/form-token`);
+            const data = await response.json();
+            formToken = data.token;
+        } catch (error) {
+            console.error('Error loading form token:', error);
+        }
+    }
+
+    // Render the CAPTCHA challenge if the server requires one
+    async function loadCaptcha() {
+        try {
+            const response = await fetch(`${API_BASE}/api/comments/captcha`);
+            const data = await response.json();
+            captcha = data.captcha;
+        } catch (error) {
+            console.error('Error loading CAPTCHA settings:', error);
+            return;
+        }
+
+        if (!captcha) return;
+        elements.captchaContainer.style.display = 'block';
+
+        // The test stubs have nothing to render
+        if (!captcha.script_url) {
+            const stub = document.createElement('p');
+            stub.className = 'captcha-stub';
+            stub.textContent = `Test CAPTCHA: ${captcha.provider}`;
+            elements.captchaContainer.appendChild(stub);
+            return;
+        }
+
+        try {
+            const provider = await loadCaptchaScript(captcha);
+            const widget = document.createElement('div');
+            elements.captchaContainer.appendChild(widget);
+            captchaWidgetId = provider.render(widget, { sitekey: captcha.site_key });
+        } catch (error) {
+            console.error('Error loading CAPTCHA:', error);
+        }
+    }
+
+    function getCaptchaToken() {
+        if (!captcha) return null;
+        if (!captcha.script_url) return 'stub';
+        return captchaWidgetId !== null ? window[captcha.global].getResponse(captchaWidgetId) : '';
+    }
+
+    // CAPTCHA tokens can only be verified once, so get a fresh challenge after each attempt
+    function resetCaptcha() {
+        if (captchaWidgetId !== null) {
+            window[captcha.global].reset(captchaWidgetId);
+        }
+    }
+
+    async function loadComments() {
+        try {
+            elements.loading.style.display = 'block';
+            elements.commentsList.style.display = 'none';
+            elements.noComments.style.display = 'none';
+
+            const data = await fetchCommentsPage(null);
+            loadedComments = data.comments || [];
+            nextCursor = data.next_cursor || null;
+            displayComments(loadedComments, data.total);
+            live.start(data.last_event_id);
+        } catch (error) {
+            console.error('Error loading comments:', error);
+            elements.loading.innerHTML = `
+                <div class="error-message">
+                    <p>Unable to load comments.</p>
+                    <button type="button" class="retry-btn">Try Again</button>
+                </div>
+            `;
+            elements.loading.querySelector('.retry-btn').addEventListener('click', loadComments);
+        }
+    }
+
+    async function fetchCommentsPage(cursor) {
+        const params = new URLSearchParams({
+            page_url: options.pageUrl,
+            sort: currentSort,
+            limit: options.pageSize
+        });
+        if (options.siteKey) {
+            params.set('site_key', options.siteKey);
+        }
+        if (cursor) {
+            params.set('cursor', cursor);
+        }
+
+        const response = await fetch(`${API_BASE}/api/comments?${params}`);
+        if (!response.ok) {
+            throw new Error('Failed to load comments');
+        }
+
+        return response.json();
+    }
+
+    async function loadMoreComments() {
+        if (!nextCursor) return;
+
+        elements.loadMore.disabled = true;
+        elements.loadMore.textContent = 'Loading...';
+
+        try {
+            const data = await fetchCommentsPage(nextCursor);
+            loadedComments = loadedComments.concat(data.comments || []);
+            nextCursor = data.next_cursor || null;
+            displayComments(loadedComments, data.total);
+        } catch (error) {
+            console.error('Error loading more comments:', error);
+            showFormMessage('Unable to load more comments. Please try again.', 'error');
+        } finally {
+            elements.loadMore.disabled = false;
+            elements.loadMore.textContent = 'Load more comments';
+        }
+    }
+
+    function displayComments(comments, total = comments.length) {
+        elements.loading.style.display = 'none';
+        elements.commentCount.textContent = total;
+        elements.loadMore.style.display = nextCursor ? 'block' : 'none';
+
+        if (comments.length === 0) {
+            elements.commentsList.style.display = 'none';
+            elements.noComments.style.display = 'block';
+            return;
+        }
+
+        elements.commentsList.style.display = 'block';
+        elements.noComments.style.display = 'none';
+
+        elements.commentsList.innerHTML = renderThread(comments, { maxDepth: options.maxDepth });
+    }
+
+    elements.form.addEventListener('submit', handleFormSubmit);
+    elements.commentContent.addEventListener('input', updateCharCount);
+    elements.commentsList.addEventListener('click', handleReplyClick);
+    elements.commentsList.addEventListener('click', handleOwnCommentClick);
+    elements.commentsList.addEventListener('click', handleReactionClick);
+    elements.commentsList.addEventListener('click', handleReportClick);
+    elements.commentSort.value = currentSort;
+    elements.commentSort.addEventListener('change', () => {
+        currentSort = elements.commentSort.value;
+        loadComments();
+    });
+    elements.cancelReply.addEventListener('click', cancelReply);
+    elements.loadMore.addEventListener('click', loadMoreComments);
+    elements.editorTabs.forEach(tab => {
+        tab.addEventListener('click', () => showEditorTab(tab.dataset.tab));
+    });
+
+    if (options.replyNotifications) {
+        root.getElementById('notify-email-group').style.display = 'block';
+    }
+
+    loadComments();
+    loadFormToken();
+    // Form tokens expire after a few hours, so a page left open gets a fresh one every hour
+    setInterval(loadFormToken, 60 * 60 * 1000);
+    loadCaptcha();
+}
+
+// Mount a widget for this script tag: into each data-target element, or right after the tag
+function mountFromScript() {
+    const settings = SCRIPT.dataset;
+    const optionsFor = (element) => ({
+        siteKey: settings.site || '',
+        pageUrl: element.dataset.pageUrl || settings.pageUrl || window.location.href,
+        maxDepth: parseOption(element.dataset.maxDepth ?? settings.maxDepth, 3),
+        pageSize: parseOption(element.dataset.pageSize ?? settings.pageSize, 20) || 20,
+        sort: ['oldest', 'newest', 'top'].find(sort => sort === (element.dataset.sort ?? settings.sort)) || 'oldest',
+        replyNotifications: 'replyNotifications' in settings
+    });
+
+    if (settings.target) {
+        document.querySelectorAll(settings.target).forEach(element => {
+            // Several scripts may point at the same elements; each gets one widget
+            if (!element.shadowRoot) {
+                mountWidget(element, optionsFor(element));
+            }
+        });
+        return;
+    }
+
+    const container = document.createElement('div');
+    container.className = 'blog-comments';
+    SCRIPT.after(container);
+    mountWidget(container, optionsFor(container));
+}
+
+// With data-target, wait until the page has been parsed so the elements exist
+if (SCRIPT.dataset.target && document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', mountFromScript);
+} else {
+    mountFromScript();
+}
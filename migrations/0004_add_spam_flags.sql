@@ -0,0 +1,3 @@
+-- Which spam filter flagged a comment, and why
+ALTER TABLE comments ADD COLUMN flagged_by TEXT;
+ALTER TABLE comments ADD COLUMN flag_reason TEXT;
@@ -0,0 +1,10 @@
+-- Comment text is now stored as the markdown the author wrote and escaped when it's rendered.
+-- Undo the HTML escaping that was applied to existing comments when they were saved.
+-- (Text that literally contained e.g. "&lt;" can't be told apart and is decoded too.)
+UPDATE comments
+SET comment_content = REPLACE(REPLACE(REPLACE(REPLACE(comment_content,
+    '&lt;', '<'),
+    '&gt;', '>'),
+    '&quot;', '"'),
+    '&#39;', '''')
+WHERE comment_content LIKE '%&%';
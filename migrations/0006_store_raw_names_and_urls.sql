@@ -0,0 +1,15 @@
+-- Author names and page URLs are now stored as submitted and escaped when they're rendered.
+-- Undo the HTML escaping that was applied to existing comments when they were saved.
+-- (Text that literally contained e.g. "&lt;" can't be told apart and is decoded too.)
+UPDATE comments
+SET author_name = REPLACE(REPLACE(REPLACE(REPLACE(author_name,
+        '&lt;', '<'),
+        '&gt;', '>'),
+        '&quot;', '"'),
+        '&#39;', ''''),
+    page_url = REPLACE(REPLACE(REPLACE(REPLACE(page_url,
+        '&lt;', '<'),
+        '&gt;', '>'),
+        '&quot;', '"'),
+        '&#39;', '''')
+WHERE author_name LIKE '%&%' OR page_url LIKE '%&%';
@@ -0,0 +1,9 @@
+-- Old page URLs that were merged into another page's thread; both columns hold normalized URLs.
+-- After applying this, run POST /api/admin/pages/normalize once to rewrite existing page URLs.
+CREATE TABLE IF NOT EXISTS page_aliases (
+    alias_url TEXT PRIMARY KEY,
+    canonical_url TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_aliases_canonical_url ON page_aliases(canonical_url);
@@ -0,0 +1,15 @@
+-- Sites: each blog gets a public site key, the origins allowed to call the API for it
+-- and the page hosts its comments may be on (both JSON arrays).
+-- Existing comments have no site until a site whose hosts match them is created.
+CREATE TABLE IF NOT EXISTS sites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_key TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    allowed_origins TEXT NOT NULL DEFAULT '[]',
+    page_hosts TEXT NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+ALTER TABLE comments ADD COLUMN site_id INTEGER REFERENCES sites(id);
+
+CREATE INDEX IF NOT EXISTS idx_comments_site_id ON comments(site_id);
@@ -0,0 +1,12 @@
+-- Changes to each page's visible comments, for live updates and GET /api/comments/updates.
+-- Rows are kept for a day.
+CREATE TABLE IF NOT EXISTS comment_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_url TEXT NOT NULL,
+    comment_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('added', 'edited', 'deleted')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_events_page_url ON comment_events(page_url, id);
+CREATE INDEX IF NOT EXISTS idx_comment_events_created_at ON comment_events(created_at);
@@ -0,0 +1,7 @@
+-- Commenters who asked to be emailed about replies, with the token of their unsubscribe link
+CREATE TABLE IF NOT EXISTS reply_subscriptions (
+    comment_id INTEGER PRIMARY KEY REFERENCES comments(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
@@ -0,0 +1,4 @@
+-- When a commenter last edited their comment, and the hash of the edit token that lets them
+-- change it for a while after posting
+ALTER TABLE comments ADD COLUMN edited_at TIMESTAMP;
+ALTER TABLE comments ADD COLUMN edit_token_hash TEXT;
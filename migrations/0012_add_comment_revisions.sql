@@ -0,0 +1,14 @@
+-- Every version of a comment before a change to it, with who made the change (an admin username,
+-- or "(author)" for commenters' own edits), what it was and when
+CREATE TABLE IF NOT EXISTS comment_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    author_name TEXT NOT NULL,
+    comment_content TEXT NOT NULL,
+    status TEXT,
+    editor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment_id ON comment_revisions(comment_id, id);
@@ -0,0 +1,9 @@
+-- Upvotes and emoji reactions, one row per reaction per voter. voter is a hash of the random
+-- voter ID the reader's browser keeps, so reactions stay anonymous.
+CREATE TABLE IF NOT EXISTS comment_reactions (
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    reaction TEXT NOT NULL,
+    voter TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, reaction, voter)
+);
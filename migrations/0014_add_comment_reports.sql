@@ -0,0 +1,11 @@
+-- Readers' reports of comments, with their reasons. reporter is a hash of the reader's voter ID,
+-- so each reader can report a comment once; dismissed_at is set when a moderator dismisses the report.
+CREATE TABLE IF NOT EXISTS comment_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    reporter TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dismissed_at TIMESTAMP,
+    UNIQUE (comment_id, reporter)
+);
@@ -0,0 +1,4 @@
+-- Deleted comments now stay in the trash with status 'deleted' until it is emptied; deleted_at is
+-- when they went in, which the scheduled purge counts TRASH_RETENTION_DAYS from
+ALTER TABLE comments ADD COLUMN deleted_at TIMESTAMP;
+CREATE INDEX IF NOT EXISTS idx_comments_deleted_at ON comments(deleted_at);
@@ -0,0 +1,25 @@
+-- Full-text index of comment authors and content for the admin search, kept in step with comments by
+-- the triggers below. Its rowid is the comment's id; the text itself lives only in comments.
+CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+    author_name,
+    comment_content,
+    content='comments',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS comments_fts_insert AFTER INSERT ON comments BEGIN
+    INSERT INTO comments_fts (rowid, author_name, comment_content) VALUES (new.id, new.author_name, new.comment_content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS comments_fts_delete AFTER DELETE ON comments BEGIN
+    INSERT INTO comments_fts (comments_fts, rowid, author_name, comment_content) VALUES ('delete', old.id, old.author_name, old.comment_content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS comments_fts_update AFTER UPDATE OF author_name, comment_content ON comments BEGIN
+    INSERT INTO comments_fts (comments_fts, rowid, author_name, comment_content) VALUES ('delete', old.id, old.author_name, old.comment_content);
+    INSERT INTO comments_fts (rowid, author_name, comment_content) VALUES (new.id, new.author_name, new.comment_content);
+END;
+
+-- Index the comments already there
+INSERT INTO comments_fts (comments_fts) VALUES ('rebuild');
@@ -4,8 +4,133 @@ CREATE TABLE IF NOT EXISTS comments (
     author_name TEXT NOT NULL,
     comment_content TEXT NOT NULL,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
-    status TEXT DEFAULT 'approved'
+    status TEXT DEFAULT 'approved',
+    parent_id INTEGER REFERENCES comments(id) ON DELETE SET NULL,
+    flagged_by TEXT,
+    flag_reason TEXT,
+    site_id INTEGER REFERENCES sites(id),
+    edited_at TIMESTAMP,
+    edit_token_hash TEXT,
+    deleted_at TIMESTAMP
 );
 
 CREATE INDEX IF NOT EXISTS idx_comments_page_url ON comments(page_url);
-CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at);
\ No newline at end of file
+CREATE INDEX IF NOT EXISTS idx_comments_created_at ON comments(created_at);
+CREATE INDEX IF NOT EXISTS idx_comments_parent_id ON comments(parent_id);
+CREATE INDEX IF NOT EXISTS idx_comments_site_id ON comments(site_id);
+CREATE INDEX IF NOT EXISTS idx_comments_deleted_at ON comments(deleted_at);
+
+-- Full-text index of comment authors and content for the admin search, kept in step with comments by
+-- the triggers below. Its rowid is the comment's id; the text itself lives only in comments.
+CREATE VIRTUAL TABLE IF NOT EXISTS comments_fts USING fts5(
+    author_name,
+    comment_content,
+    content='comments',
+    content_rowid='id',
+    tokenize='unicode61 remove_diacritics 2'
+);
+
+CREATE TRIGGER IF NOT EXISTS comments_fts_insert AFTER INSERT ON comments BEGIN
+    INSERT INTO comments_fts (rowid, author_name, comment_content) VALUES (new.id, new.author_name, new.comment_content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS comments_fts_delete AFTER DELETE ON comments BEGIN
+    INSERT INTO comments_fts (comments_fts, rowid, author_name, comment_content) VALUES ('delete', old.id, old.author_name, old.comment_content);
+END;
+
+CREATE TRIGGER IF NOT EXISTS comments_fts_update AFTER UPDATE OF author_name, comment_content ON comments BEGIN
+    INSERT INTO comments_fts (comments_fts, rowid, author_name, comment_content) VALUES ('delete', old.id, old.author_name, old.comment_content);
+    INSERT INTO comments_fts (rowid, author_name, comment_content) VALUES (new.id, new.author_name, new.comment_content);
+END;
+
+CREATE TABLE IF NOT EXISTS admin_users (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    username TEXT NOT NULL UNIQUE,
+    password_hash TEXT NOT NULL,
+    role TEXT NOT NULL CHECK (role IN ('owner', 'moderator', 'read-only')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS audit_log (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    actor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    comment_id INTEGER,
+    details TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_audit_log_comment_id ON audit_log(comment_id);
+
+CREATE TABLE IF NOT EXISTS rate_limits (
+    key TEXT PRIMARY KEY,
+    count INTEGER NOT NULL DEFAULT 0,
+    expires_at INTEGER NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_rate_limits_expires_at ON rate_limits(expires_at);
+
+CREATE TABLE IF NOT EXISTS page_aliases (
+    alias_url TEXT PRIMARY KEY,
+    canonical_url TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_page_aliases_canonical_url ON page_aliases(canonical_url);
+
+CREATE TABLE IF NOT EXISTS sites (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    site_key TEXT NOT NULL UNIQUE,
+    name TEXT NOT NULL,
+    allowed_origins TEXT NOT NULL DEFAULT '[]',
+    page_hosts TEXT NOT NULL DEFAULT '[]',
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+CREATE TABLE IF NOT EXISTS comment_events (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    page_url TEXT NOT NULL,
+    comment_id INTEGER NOT NULL,
+    type TEXT NOT NULL CHECK (type IN ('added', 'edited', 'deleted')),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_events_page_url ON comment_events(page_url, id);
+CREATE INDEX IF NOT EXISTS idx_comment_events_created_at ON comment_events(created_at);
+
+CREATE TABLE IF NOT EXISTS reply_subscriptions (
+    comment_id INTEGER PRIMARY KEY REFERENCES comments(id) ON DELETE CASCADE,
+    email TEXT NOT NULL,
+    token TEXT NOT NULL UNIQUE,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE TABLE IF NOT EXISTS comment_revisions (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    author_name TEXT NOT NULL,
+    comment_content TEXT NOT NULL,
+    status TEXT,
+    editor TEXT NOT NULL,
+    action TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_comment_revisions_comment_id ON comment_revisions(comment_id, id);
+
+CREATE TABLE IF NOT EXISTS comment_reactions (
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    reaction TEXT NOT NULL,
+    voter TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    PRIMARY KEY (comment_id, reaction, voter)
+);
+
+CREATE TABLE IF NOT EXISTS comment_reports (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    comment_id INTEGER NOT NULL REFERENCES comments(id) ON DELETE CASCADE,
+    reason TEXT NOT NULL,
+    reporter TEXT NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    dismissed_at TIMESTAMP,
+    UNIQUE (comment_id, reporter)
+);
\ No newline at end of file
@@ -0,0 +1,57 @@
+// Local HTTP sink for testing notifications: prints every webhook and email the Worker sends,
+// and checks webhook signatures. Needs only Node.js:
+//
+//   WEBHOOK_SECRET=dev-secret node scripts/notification-sink.mjs
+//
+// then run `wrangler dev` with
+//
+//   NOTIFICATION_WEBHOOKS = "http://localhost:8789/webhook"
+//   WEBHOOK_SECRET = "dev-secret"
+//   EMAIL_PROVIDER = "http"
+//   EMAIL_API_URL = "http://localhost:8789/email"
+//   NOTIFY_ADMIN_EMAIL = "you@example.com"
+//
+// Requests to /fail are answered with 503, to watch webhook retries.
+
+import { createServer } from 'node:http';
+import { createHmac, timingSafeEqual } from 'node:crypto';
+
+const PORT = Number(process.env.PORT) || 8789;
+const SECRET = process.env.WEBHOOK_SECRET || '';
+
+// X-Webhook-Signature is "sha256=" and the base64url HMAC-SHA256 of "<timestamp>.<body>"
+function checkSignature(headers, body) {
+    const expected = `sha256=${createHmac('sha256', SECRET).update(`${headers['x-webhook-timestamp']}.${body}`).digest('base64url')}`;
+    const actual = headers['x-webhook-signature'] || '';
+    return actual.length === expected.length && timingSafeEqual(Buffer.from(actual), Buffer.from(expected));
+}
+
+createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => {
+        body += chunk;
+    });
+    request.on('end', () => {
+        const url = new URL(request.url, `http://localhost:${PORT}`);
+        console.log(`\n${new Date().toISOString()} ${request.method} ${url.pathname}`);
+
+        if (request.headers['x-webhook-signature']) {
+            const age = Math.floor(Date.now() / 1000) - Number(request.headers['x-webhook-timestamp']);
+            console.log(`${request.headers['x-webhook-event']} ${request.headers['x-webhook-id']}`);
+            console.log(SECRET
+                ? `signature ${checkSignature(request.headers, body) ? 'valid' : 'INVALID'}, sent ${age}s ago`
+                : 'set WEBHOOK_SECRET to check the signature');
+        }
+
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (_) {
+            console.log(body);
+        }
+
+        response.writeHead(url.pathname === '/fail' ? 503 : 200, { 'Content-Type': 'application/json' });
+        response.end('{"ok":true}');
+    });
+}).listen(PORT, () => {
+    console.log(`Notification sink listening on http://localhost:${PORT}`);
+});
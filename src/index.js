@@ -1,12 +1,21 @@
 // Blog Comment System - Cloudflare Worker
 // Handles GET, POST, and DELETE operations for comments
 
+import { renderMarkdown } from './markdown.js';
+// Browser-side assets, bundled as text (see the rules in wrangler.toml)
+import COMMENT_RENDER_SCRIPT from '../assets/comment-render.js';
+import COMMENT_LIVE_SCRIPT from '../assets/comment-live.js';
+import EMBED_SCRIPT from '../assets/embed.js';
+import COMMENT_FRAME_SCRIPT from '../assets/comment-frame.js';
+import COMMENT_COUNT_SCRIPT from '../assets/comment-count.js';
+import COMMENT_SYSTEM_CSS from '../assets/comment-system.css';
+
 // CORS middleware
 function corsHeaders() {
     return {
         'Access-Control-Allow-Origin': '*',
-        'Access-Control-Allow-Methods': 'GET, POST, DELETE, OPTIONS',
-        'Access-Control-Allow-Headers': 'Content-Type',
+        'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type, X-Edit-Token',
     };
 }
 
@@ -17,395 +26,5238 @@ function handleOptions() {
     });
 }
 
-// Validate URL format
+// Validate URL format; comments belong to web pages, so only http(s) URLs are accepted
 function isValidUrl(string) {
     try {
-        new URL(string);
-        return true;
+        const url = new URL(string);
+        return url.protocol === 'http:' || url.protocol === 'https:';
     } catch (_) {
         return false;
     }
 }
 
-// Sanitize input to prevent XSS
-function sanitizeInput(input) {
-    return input
-        .trim()
-        .replace(/</g, '&lt;')
-        .replace(/>/g, '&gt;')
-        .replace(/"/g, '&quot;')
-        .replace(/'/g, '&#39;');
+// Query parameters that only track where a visitor came from; a trailing * matches any suffix
+const DEFAULT_TRACKING_PARAMS = ['utm_*', 'fbclid', 'gclid', 'dclid', 'msclkid', 'mc_cid', 'mc_eid', '_ga'];
+
+// Read a true/false setting, falling back to the default when it isn't set
+function getFlag(value, defaultValue) {
+    if (value === undefined || value === null || value === '') {
+        return defaultValue;
+    }
+    return !['false', '0', 'no', 'off'].includes(String(value).trim().toLowerCase());
 }
 
-// Get comments for a specific page
-async function getComments(request, env) {
-    const url = new URL(request.url);
-    const pageUrl = url.searchParams.get('page_url');
+// URL normalization rules, each configurable through an env var
+function getUrlRules(env) {
+    return {
+        stripParams: env.URL_STRIP_PARAMS !== undefined
+            ? env.URL_STRIP_PARAMS.split(',').map(name => name.trim()).filter(Boolean)
+            : DEFAULT_TRACKING_PARAMS,
+        forceHttps: getFlag(env.URL_FORCE_HTTPS, true),
+        stripWww: getFlag(env.URL_STRIP_WWW, true),
+        stripTrailingSlash: getFlag(env.URL_STRIP_TRAILING_SLASH, true)
+    };
+}
 
-    if (!pageUrl) {
-        return new Response(
-            JSON.stringify({ error: 'page_url parameter is required' }),
-            {
-                status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
-    }
+// Reduce a page URL to the canonical form its comments are stored under, so that
+// tracking parameters, #fragments, http vs https, www vs apex and trailing slashes
+// don't split a page's comments into separate threads. Expects a URL that passed isValidUrl.
+function normalizePageUrl(env, pageUrl) {
+    const rules = getUrlRules(env);
+    const url = new URL(String(pageUrl).trim());
 
-    if (!isValidUrl(pageUrl)) {
-        return new Response(
-            JSON.stringify({ error: 'Invalid page_url format' }),
-            {
-                status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+    url.hash = '';
+    if (rules.forceHttps) {
+        url.protocol = 'https:';
+    }
+    if (rules.stripWww) {
+        url.hostname = url.hostname.replace(/^www\./, '');
+    }
+    if (rules.stripTrailingSlash && url.pathname.length > 1) {
+        url.pathname = url.pathname.replace(/\/+$/, '');
     }
 
-    try {
-        const result = await env.DB.prepare(`
-            SELECT id, author_name, comment_content, created_at, page_url
-            FROM comments
-            WHERE page_url = ? AND status = 'approved'
-            ORDER BY created_at ASC
-        `).bind(pageUrl).all();
+    // Drop tracking parameters and sort the rest so their order doesn't matter
+    const params = [...url.searchParams]
+        .filter(([name]) => !rules.stripParams.some(pattern => pattern.endsWith('*')
+            ? name.startsWith(pattern.slice(0, -1))
+            : name === pattern))
+        .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+    url.search = new URLSearchParams(params).toString();
 
-        return new Response(
-            JSON.stringify({
-                comments: result.results || [],
-                count: result.results?.length || 0
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
-    } catch (error) {
-        console.error('Database error:', error);
-        return new Response(
-            JSON.stringify({ error: 'Failed to retrieve comments' }),
-            {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
-    }
+    return url.toString();
 }
 
-// Create a new comment
-async function createComment(request, env) {
-    try {
-        const body = await request.json();
-        const { page_url, author_name, comment_content } = body;
+// Sites and page aliases are looked up on every public request but rarely change, so they're kept in
+// the Cache API for COMMENTS_CACHE_TTL too. The admin endpoints that change them purge them here;
+// other data centers pick up the change when their copy expires.
+function lookupCacheKey(request, name, key = '') {
+    return new Request(`${new URL(request.url).origin}/__cache/${name}?key=${encodeURIComponent(key)}`);
+}
 
-        // Validation
-        const errors = [];
+// The cache only saves a query: when it fails, the value comes from D1 as if it weren't cached.
+// Filling it is left to ctx.waitUntil, so the request doesn't wait for it.
+async function cachedLookup(request, env, ctx, name, key, load) {
+    const ttl = getCommentsCacheTtl(env);
+    if (ttl === 0) {
+        return load();
+    }
 
-        if (!page_url) {
-            errors.push('page_url is required');
-        } else if (!isValidUrl(page_url)) {
-            errors.push('Invalid page_url format');
+    const cacheKey = lookupCacheKey(request, name, key);
+    try {
+        const cached = await caches.default.match(cacheKey);
+        if (cached) {
+            return await cached.json();
         }
+    } catch (error) {
+        console.error('Cache error:', error);
+    }
 
-        if (!author_name) {
-            errors.push('author_name is required');
-        } else if (typeof author_name !== 'string' || author_name.trim().length === 0) {
-            errors.push('author_name cannot be empty');
-        } else if (author_name.trim().length > 100) {
-            errors.push('author_name must be 100 characters or less');
-        }
+    const value = await load();
+    ctx.waitUntil(Promise.resolve()
+        .then(() => caches.default.put(cacheKey, new Response(JSON.stringify(value), {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': `public, max-age=${ttl}`
+            }
+        })))
+        .catch(error => console.error('Cache error:', error)));
+    return value;
+}
 
-        if (!comment_content) {
-            errors.push('comment_content is required');
-        } else if (typeof comment_content !== 'string' || comment_content.trim().length === 0) {
-            errors.push('comment_content cannot be empty');
-        } else if (comment_content.trim().length > 1000) {
-            errors.push('comment_content must be 1000 characters or less');
-        }
+// Like purgeCommentsCache, a failure only leaves the old value until it expires
+async function purgeLookups(request, name, keys = ['']) {
+    try {
+        await Promise.all(keys.map(key => caches.default.delete(lookupCacheKey(request, name, key))));
+    } catch (error) {
+        console.error('Cache error:', error);
+    }
+}
 
-        if (errors.length > 0) {
-            return new Response(
-                JSON.stringify({ error: errors.join('; ') }),
-                {
-                    status: 400,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...corsHeaders()
-                    }
-                }
-            );
-        }
+// Normalize a page URL and follow its alias, if it has one, to the thread it was merged into
+async function resolvePageUrl(request, env, ctx, pageUrl) {
+    const normalized = normalizePageUrl(env, pageUrl);
+    const alias = await cachedLookup(request, env, ctx, 'page-alias', normalized, () => env.DB.prepare(`
+        SELECT canonical_url FROM page_aliases WHERE alias_url = ?
+    `).bind(normalized).first());
+    return alias ? alias.canonical_url : normalized;
+}
 
-        // Sanitize inputs
-        const sanitizedPageUrl = sanitizeInput(page_url.trim());
-        const sanitizedName = sanitizeInput(author_name.trim());
-        const sanitizedContent = sanitizeInput(comment_content.trim());
+// Sites keep their allowed origins and page host patterns as JSON arrays
+function parseSite(row) {
+    return {
+        ...row,
+        allowed_origins: JSON.parse(row.allowed_origins),
+        page_hosts: JSON.parse(row.page_hosts)
+    };
+}
 
-        // Insert comment
-        const result = await env.DB.prepare(`
-            INSERT INTO comments (page_url, author_name, comment_content, status)
-            VALUES (?, ?, ?, 'approved')
-        `).bind(sanitizedPageUrl, sanitizedName, sanitizedContent).run();
+// Every site, parsed. Checking a request's site and its CORS origin share one lookup per request.
+const requestSites = new WeakMap();
 
-        if (!result.success) {
-            throw new Error('Failed to insert comment');
-        }
+function loadSites(request, env, ctx) {
+    if (!requestSites.has(request)) {
+        requestSites.set(request, cachedLookup(request, env, ctx, 'sites', '', async () => {
+            const result = await env.DB.prepare(`
+                SELECT id, site_key, name, allowed_origins, page_hosts FROM sites
+            `).all();
+            return (result.results || []).map(parseSite);
+        }));
+    }
+    return requestSites.get(request);
+}
 
-        // Retrieve the created comment
-        const createdComment = await env.DB.prepare(`
-            SELECT id, author_name, comment_content, created_at, page_url
-            FROM comments
-            WHERE id = ?
-        `).bind(result.meta.last_row_id).first();
+// Host patterns are exact hostnames, or "*.example.com" for any subdomain of example.com
+function matchesHostPattern(hostname, pattern) {
+    return pattern.startsWith('*.')
+        ? hostname.endsWith(pattern.slice(1))
+        : hostname === pattern;
+}
 
-        return new Response(
-            JSON.stringify({
-                success: true,
-                comment: createdComment
-            }),
+// Find the site a public request belongs to and check the request against it: the browser's
+// Origin must be one of the site's allowed origins and the page must be on one of its hosts
+// (pageUrl may also be a list of pages, which must all be on the site).
+// Until the first site is created the system runs as a single open site and site is null.
+// Returns { site } to continue, or { error } holding the response to send.
+async function authorizeSite(request, env, ctx, siteKey, pageUrl) {
+    const deny = (status, message) => ({
+        error: new Response(
+            JSON.stringify({ error: message }),
             {
-                status: 201,
+                status,
                 headers: {
                     'Content-Type': 'application/json',
                     ...corsHeaders()
                 }
             }
-        );
+        )
+    });
 
-    } catch (error) {
-        console.error('Database error:', error);
-        return new Response(
-            JSON.stringify({ error: 'Failed to create comment' }),
-            {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+    const sites = await loadSites(request, env, ctx);
+
+    if (!siteKey) {
+        return sites.length > 0 ? deny(400, 'site_key is required') : { site: null };
     }
-}
 
-// Delete a comment (admin only)
-async function deleteComment(request, env, commentId) {
-    const url = new URL(request.url);
-    const secret = url.searchParams.get('secret');
-    const adminSecret = env.ADMIN_SECRET_KEY || 'admin-secret-key';
+    const site = sites.find(candidate => candidate.site_key === siteKey);
 
-    if (!secret || secret !== adminSecret) {
-        return new Response(
-            JSON.stringify({ error: 'Unauthorized' }),
-            {
-                status: 401,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+    if (!site) {
+        return deny(403, 'Unknown site_key');
     }
 
-    if (!commentId || !/^\d+$/.test(commentId)) {
-        return new Response(
-            JSON.stringify({ error: 'Invalid comment ID' }),
-            {
-                status: 400,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+    // Requests from the Worker's own pages, like the iframe widget, are always allowed
+    const origin = request.headers.get('Origin');
+    if (origin && origin !== new URL(request.url).origin && !site.allowed_origins.includes(origin)) {
+        return deny(403, 'This origin is not allowed to use this site');
     }
 
-    try {
-        // Check if comment exists
-        const existingComment = await env.DB.prepare(`
-            SELECT id FROM comments WHERE id = ?
-        `).bind(commentId).first();
-
-        if (!existingComment) {
-            return new Response(
-                JSON.stringify({ error: 'Comment not found' }),
-                {
-                    status: 404,
-                    headers: {
-                        'Content-Type': 'application/json',
-                        ...corsHeaders()
-                    }
-                }
-            );
-        }
+    const hostnames = [].concat(pageUrl).map(page => new URL(page).hostname);
+    if (!hostnames.every(hostname => site.page_hosts.some(pattern => matchesHostPattern(hostname, pattern)))) {
+        return deny(403, 'page_url is not on this site');
+    }
 
-        // Delete the comment
-        const result = await env.DB.prepare(`
-            DELETE FROM comments WHERE id = ?
-        `).bind(commentId).run();
+    return { site };
+}
 
-        if (!result.success) {
-            throw new Error('Failed to delete comment');
-        }
+// The Access-Control-Allow-Origin value for a request: the request's Origin if any site allows it,
+// or "*" until the first site is created. Returns null when the origin isn't allowed.
+async function getCorsOrigin(request, env, ctx) {
+    const origin = request.headers.get('Origin');
 
-        return new Response(
-            JSON.stringify({
-                success: true,
-                message: 'Comment deleted successfully'
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+    try {
+        const sites = await loadSites(request, env, ctx);
 
+        if (sites.length === 0) {
+            return '*';
+        }
+        return origin && sites.some(site => site.allowed_origins.includes(origin)) ? origin : null;
     } catch (error) {
         console.error('Database error:', error);
-        return new Response(
-            JSON.stringify({ error: 'Failed to delete comment' }),
-            {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+        return null;
     }
 }
 
-// Get all comments for admin interface
-async function getAllComments(request, env) {
-    const url = new URL(request.url);
-    const secret = url.searchParams.get('secret');
-    const adminSecret = env.ADMIN_SECRET_KEY || 'admin-secret-key';
+// Origins the iframe widget accepts postMessage from: the Worker's own, plus the site's allowed origins
+// when it was loaded with a site_key. The page_url's origin isn't trusted by itself, since any page can
+// name itself there; it only is when the site allows it.
+async function getWidgetHostOrigins(request, env, ctx, siteKey) {
+    const origins = [new URL(request.url).origin];
 
-    if (!secret || secret !== adminSecret) {
-        return new Response(
-            JSON.stringify({ error: 'Unauthorized' }),
-            {
-                status: 401,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
+    if (siteKey) {
+        try {
+            const site = (await loadSites(request, env, ctx)).find(candidate => candidate.site_key === siteKey);
+            if (site) {
+                origins.push(...site.allowed_origins);
             }
-        );
+        } catch (error) {
+            console.error('Database error:', error);
+        }
     }
 
-    try {
-        const result = await env.DB.prepare(`
-            SELECT id, author_name, comment_content, created_at, page_url, status
-            FROM comments
-            ORDER BY created_at DESC
-        `).all();
+    return [...new Set(origins)];
+}
 
-        return new Response(
-            JSON.stringify({
-                comments: result.results || [],
-                count: result.results?.length || 0
-            }),
-            {
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
-    } catch (error) {
-        console.error('Database error:', error);
-        return new Response(
-            JSON.stringify({ error: 'Failed to retrieve comments' }),
-            {
-                status: 500,
-                headers: {
-                    'Content-Type': 'application/json',
-                    ...corsHeaders()
-                }
-            }
-        );
+// Replace the wildcard CORS headers a handler added with ones for this request's origin
+async function withCors(request, env, ctx, response) {
+    if (!response.headers.has('Access-Control-Allow-Origin')) {
+        return response;
     }
-}
 
-// Main request handler
-export default {
-    async fetch(request, env, ctx) {
-        const url = new URL(request.url);
+    const headers = new Headers(response.headers);
+    const origin = await getCorsOrigin(request, env, ctx);
 
-        // Handle CORS preflight requests
-        if (request.method === 'OPTIONS') {
-            return handleOptions();
+    if (origin) {
+        headers.set('Access-Control-Allow-Origin', origin);
+    } else {
+        for (const name of Object.keys(corsHeaders())) {
+            headers.delete(name);
         }
+    }
+    headers.append('Vary', 'Origin');
 
-        // API routes
-        if (url.pathname === '/api/comments') {
-            switch (request.method) {
-                case 'GET':
-                    return getComments(request, env);
-                case 'POST':
-                    return createComment(request, env);
-                default:
-                    return new Response('Method not allowed', { status: 405 });
-            }
-        }
+    return new Response(response.body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers
+    });
+}
 
-        // Admin routes
-        if (url.pathname === '/api/comments/all' && request.method === 'GET') {
-            return getAllComments(request, env);
+// Comment statuses and the moderation actions that set them. Deleted comments sit in the trash
+// until it is emptied; they can only be restored, not moderated.
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam', 'deleted'];
+const MODERATION_ACTIONS = {
+    approve: 'approved',
+    reject: 'rejected',
+    spam: 'spam'
+};
+
+// New comments wait for approval when MODERATION_MODE is "pre"
+function getInitialStatus(env) {
+    return env.MODERATION_MODE === 'pre' ? 'pending' : 'approved';
+}
+
+// Limits on new comments per client IP and per page, each over a fixed window.
+// The env var overrides the default maximum; setting it to 0 turns that limit off.
+const RATE_LIMITS = [
+    { scope: 'ip', window: 60, setting: 'RATE_LIMIT_IP_PER_MINUTE', max: 5 },
+    { scope: 'ip', window: 24 * 60 * 60, setting: 'RATE_LIMIT_IP_PER_DAY', max: 50 },
+    { scope: 'page', window: 60, setting: 'RATE_LIMIT_PAGE_PER_MINUTE', max: 20 },
+    { scope: 'page', window: 24 * 60 * 60, setting: 'RATE_LIMIT_PAGE_PER_DAY', max: 500 }
+];
+
+// Limits on reaction changes per client IP, counted separately from new comments
+const REACTION_RATE_LIMITS = [
+    { name: 'reaction', scope: 'ip', window: 60, setting: 'RATE_LIMIT_REACTIONS_PER_MINUTE', max: 30 }
+];
+
+// Limits on reader reports per client IP, so one reader can't hide comments by reporting them under many voter IDs
+const REPORT_RATE_LIMITS = [
+    { name: 'report', scope: 'ip', window: 60 * 60, setting: 'RATE_LIMIT_REPORTS_PER_HOUR', max: 10 }
+];
+
+function getRateLimitMax(env, limit) {
+    const configured = parseInt(env[limit.setting], 10);
+    return Number.isNaN(configured) ? limit.max : configured;
+}
+
+// Count a new comment (or, given other limits, a reaction or report) against every rate limit it falls under.
+// Returns how many seconds the client must wait before posting again, or 0 if it's within all limits.
+async function checkRateLimits(env, ip, pageUrl, limits = RATE_LIMITS) {
+    const now = Math.floor(Date.now() / 1000);
+    const subjects = { ip, page: pageUrl };
+
+    const active = limits
+        .map(limit => ({ ...limit, max: getRateLimitMax(env, limit), resetAt: now - (now % limit.window) + limit.window }))
+        .filter(limit => limit.max > 0 && subjects[limit.scope]);
+
+    if (active.length === 0) {
+        return 0;
+    }
+
+    const results = await env.DB.batch([
+        ...active.map(limit => env.DB.prepare(`
+            INSERT INTO rate_limits (key, count, expires_at) VALUES (?, 1, ?)
+            ON CONFLICT(key) DO UPDATE SET count = count + 1
+            RETURNING count
+        `).bind(`${limit.name ? `${limit.name}:` : ''}${limit.scope}:${limit.window}:${limit.resetAt}:${subjects[limit.scope]}`, limit.resetAt)),
+        env.DB.prepare(`
+            DELETE FROM rate_limits WHERE expires_at <= ?
+        `).bind(now)
+    ]);
+
+    return active.reduce((wait, limit, i) => {
+        const count = results[i].results[0].count;
+        return count > limit.max ? Math.max(wait, limit.resetAt - now) : wait;
+    }, 0);
+}
+
+// Whether this isolate has already warned that the timing filter can't run, so the log isn't
+// flooded with the same warning for every comment
+let warnedMissingFormTokenKey = false;
+
+// Spam filters run in order on each new comment. Each returns null to let the comment through,
+// or a reason string; what then happens to the comment is decided by the filter's configured action.
+const SPAM_FILTERS = {
+    // Bots tend to fill in every field, including the hidden "website" one
+    honeypot: async (comment) => {
+        return comment.honeypot ? 'Hidden honeypot field was filled in' : null;
+    },
+
+    // The form token records when the form was loaded; people take a few seconds to write a comment.
+    // Tokens are signed with a key derived from ADMIN_SECRET_KEY, so this filter can't run until that is set.
+    timing: async (comment, env, config) => {
+        if (!env.ADMIN_SECRET_KEY) {
+            if (!warnedMissingFormTokenKey) {
+                warnedMissingFormTokenKey = true;
+                console.warn('The timing spam filter is skipped: set ADMIN_SECRET_KEY to sign form tokens');
+            }
+            return null;
+        }
+        const issuedAt = await verifyFormToken(env, comment.formToken);
+        if (issuedAt === null) {
+            return 'Missing, invalid or expired form token';
+        }
+        const elapsed = Math.floor(Date.now() / 1000) - issuedAt;
+        return elapsed < config.min_submit_seconds
+            ? `Submitted ${elapsed}s after loading the form (minimum ${config.min_submit_seconds}s)`
+            : null;
+    },
+
+    links: async (comment, env, config) => {
+        const links = (comment.content.match(/https?:\/\/|www\./gi) || []).length;
+        return links > config.max_links ? `Contains ${links} links (maximum ${config.max_links})` : null;
+    },
+
+    blocked_words: async (comment, env, config) => {
+        const text = `${comment.authorName} ${comment.content}`.toLowerCase();
+        const word = config.blocked_words.find(blocked => blocked && text.includes(blocked.toLowerCase()));
+        return word ? `Contains blocked word "${word}"` : null;
+    },
+
+    // The same text posted again, on any page, within the configured window
+    duplicate: async (comment, env, config) => {
+        const existing = await env.DB.prepare(`
+            SELECT id FROM comments
+            WHERE comment_content = ? AND created_at > datetime('now', ?) AND status != 'deleted'
+            LIMIT 1
+        `).bind(comment.content, `-${config.duplicate_window_hours} hours`).first();
+        return existing ? `Same content as comment #${existing.id}` : null;
+    }
+};
+
+// What a filter can do with a comment it flags, from mildest to harshest
+const SPAM_ACTION_SEVERITY = { pending: 1, spam: 2, reject: 3 };
+
+// KV key holding a JSON object that overrides any of the settings below
+const SPAM_CONFIG_KEY = 'SPAM_FILTER_CONFIG';
+
+const DEFAULT_SPAM_CONFIG = {
+    filters: ['honeypot', 'timing', 'links', 'blocked_words', 'duplicate'],
+    actions: {
+        honeypot: 'reject',
+        timing: 'spam',
+        links: 'pending',
+        blocked_words: 'spam',
+        duplicate: 'pending'
+    },
+    min_submit_seconds: 3,
+    max_links: 2,
+    blocked_words: [],
+    duplicate_window_hours: 24
+};
+
+// Build the spam filter settings: defaults, then env vars, then the KV override
+async function getSpamConfig(env) {
+    const config = { ...DEFAULT_SPAM_CONFIG, actions: { ...DEFAULT_SPAM_CONFIG.actions } };
+    const list = value => value.split(',').map(item => item.trim()).filter(Boolean);
+
+    if (env.SPAM_FILTERS !== undefined) {
+        config.filters = list(env.SPAM_FILTERS);
+    }
+    if (env.SPAM_FILTER_ACTIONS) {
+        // "name:action" pairs, e.g. "links:spam,duplicate:reject"
+        for (const pair of list(env.SPAM_FILTER_ACTIONS)) {
+            const [name, action] = pair.split(':').map(part => part.trim());
+            config.actions[name] = action;
+        }
+    }
+    if (env.SPAM_BLOCKED_WORDS) {
+        config.blocked_words = list(env.SPAM_BLOCKED_WORDS);
+    }
+    for (const [setting, key] of [
+        ['SPAM_MIN_SUBMIT_SECONDS', 'min_submit_seconds'],
+        ['SPAM_MAX_LINKS', 'max_links'],
+        ['SPAM_DUPLICATE_WINDOW_HOURS', 'duplicate_window_hours']
+    ]) {
+        const value = parseInt(env[setting], 10);
+        if (!Number.isNaN(value)) {
+            config[key] = value;
+        }
+    }
+
+    const stored = env.SECRETS ? await env.SECRETS.get(SPAM_CONFIG_KEY, 'json') : null;
+    if (stored) {
+        Object.assign(config, stored, { actions: { ...config.actions, ...stored.actions } });
+    }
+
+    return config;
+}
+
+// Run the configured filters over a new comment, or only those of them named in `only`.
+// Returns { action, filter, reason } for the harshest verdict, or null if every filter passed it.
+async function runSpamFilters(env, comment, only = null) {
+    const config = await getSpamConfig(env);
+    let verdict = null;
+
+    for (const name of config.filters) {
+        if (only && !only.includes(name)) {
+            continue;
+        }
+        const filter = SPAM_FILTERS[name];
+        const action = config.actions[name];
+        if (!filter || !SPAM_ACTION_SEVERITY[action]) {
+            console.error('Skipping misconfigured spam filter:', name, action);
+            continue;
+        }
+
+        const reason = await filter(comment, env, config);
+        if (reason && (!verdict || SPAM_ACTION_SEVERITY[action] > SPAM_ACTION_SEVERITY[verdict.action])) {
+            verdict = { action, filter: name, reason };
+            if (action === 'reject') {
+                break;
+            }
+        }
+    }
+
+    return verdict;
+}
+
+// Form tokens are "<issued at>.<signature>"; the timestamp is in seconds. They are only accepted for
+// FORM_TOKEN_MAX_AGE, so a captured token can't be replayed for long; widgets fetch a fresh one every hour.
+const FORM_TOKEN_MAX_AGE = 4 * 60 * 60; // 4 hours, in seconds
+
+async function signFormToken(env, issuedAt) {
+    return hmacSign(await deriveKey(env.ADMIN_SECRET_KEY, 'form-token'), `form:${issuedAt}`);
+}
+
+async function createFormToken(env) {
+    const issuedAt = String(Math.floor(Date.now() / 1000));
+    return `${issuedAt}.${await signFormToken(env, issuedAt)}`;
+}
+
+// Return the issue time of a valid, unexpired form token, or null
+async function verifyFormToken(env, token) {
+    if (typeof token !== 'string' || !/^\d+\.[\w-]+$/.test(token)) {
+        return null;
+    }
+    const [issuedAt, signature] = token.split('.');
+    if (Math.floor(Date.now() / 1000) - Number(issuedAt) > FORM_TOKEN_MAX_AGE) {
+        return null;
+    }
+    const expected = await signFormToken(env, issuedAt);
+    return await timingSafeEqual(signature, expected) ? Number(issuedAt) : null;
+}
+
+// CAPTCHA providers, selected with CAPTCHA_PROVIDER. Each one tells the widget how to render its
+// challenge and verifies the token the challenge produced; verify resolves to true or false.
+const CAPTCHA_PROVIDERS = {
+    turnstile: {
+        scriptUrl: 'https://challenges.cloudflare.com/turnstile/v0/api.js',
+        // Where the challenge loads its scripts, frames and styles from, for the widget's Content-Security-Policy
+        cspSources: 'https://challenges.cloudflare.com',
+        widgetClass: 'cf-turnstile',
+        responseField: 'cf-turnstile-response',
+        global: 'turnstile',
+        verify: (env, token, ip) => verifyCaptchaToken('https://challenges.cloudflare.com/turnstile/v0/siteverify', env, token, ip)
+    },
+    hcaptcha: {
+        scriptUrl: 'https://js.hcaptcha.com/1/api.js',
+        cspSources: 'https://hcaptcha.com https://*.hcaptcha.com',
+        widgetClass: 'h-captcha',
+        responseField: 'h-captcha-response',
+        global: 'hcaptcha',
+        verify: (env, token, ip) => verifyCaptchaToken('https://api.hcaptcha.com/siteverify', env, token, ip)
+    },
+    // Offline stand-ins for testing the comment flow without a real challenge
+    'stub-pass': {
+        verify: async () => true
+    },
+    'stub-fail': {
+        verify: async () => false
+    }
+};
+
+// The configured CAPTCHA provider's name and adapter, or null when CAPTCHA is turned off
+function getCaptchaProvider(env) {
+    const name = env.CAPTCHA_PROVIDER;
+    if (!name) {
+        return null;
+    }
+    if (!CAPTCHA_PROVIDERS[name]) {
+        throw new Error(`Unknown CAPTCHA_PROVIDER: ${name}`);
+    }
+    return { name, ...CAPTCHA_PROVIDERS[name] };
+}
+
+// What the widget needs to render the challenge; none of it is secret
+function getCaptchaWidgetConfig(env) {
+    const provider = getCaptchaProvider(env);
+    if (!provider) {
+        return null;
+    }
+    return {
+        provider: provider.name,
+        site_key: env.CAPTCHA_SITE_KEY || null,
+        script_url: provider.scriptUrl || null,
+        widget_class: provider.widgetClass || null,
+        response_field: provider.responseField || null,
+        global: provider.global || null
+    };
+}
+
+// Turnstile and hCaptcha share the same siteverify request and response format
+async function verifyCaptchaToken(verifyUrl, env, token, ip) {
+    if (!token || !env.CAPTCHA_SECRET_KEY) {
+        return false;
+    }
+
+    const form = new FormData();
+    form.append('secret', env.CAPTCHA_SECRET_KEY);
+    form.append('response', token);
+    if (ip) {
+        form.append('remoteip', ip);
+    }
+
+    try {
+        const response = await fetch(verifyUrl, { method: 'POST', body: form });
+        const result = await response.json();
+        return result.success === true;
+    } catch (error) {
+        console.error('CAPTCHA verification error:', error);
+        return false;
+    }
+}
+
+// Notifications about comments: signed webhooks to NOTIFICATION_WEBHOOKS, an email to NOTIFY_ADMIN_EMAIL
+// for each new comment, and reply emails to commenters who asked for them. They are sent after the
+// response with ctx.waitUntil, so a slow or failing endpoint never holds up posting a comment.
+const WEBHOOK_MAX_ATTEMPTS = 3;
+const WEBHOOK_RETRY_DELAY = 1000; // ms, doubled after each failed attempt
+
+const EMAIL_PATTERN = /^[^\s@<>()",;]+@[^\s@<>()",;]+\.[^\s@<>()",;]+$/;
+
+// Both JSON email APIs take { from, to, subject, text, headers }
+async function sendJsonEmail(url, env, message) {
+    const response = await fetch(url, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            ...(env.EMAIL_API_KEY ? { 'Authorization': `Bearer ${env.EMAIL_API_KEY}` } : {})
+        },
+        body: JSON.stringify({ from: env.EMAIL_FROM, ...message })
+    });
+    if (!response.ok) {
+        throw new Error(`Email API returned ${response.status}`);
+    }
+}
+
+// Email adapters: each sends { to, subject, text, headers } and throws when delivery fails
+const EMAIL_PROVIDERS = {
+    resend: {
+        send: (env, message) => sendJsonEmail('https://api.resend.com/emails', env, message)
+    },
+    // Any service (or local HTTP sink) that accepts the message as JSON at EMAIL_API_URL
+    http: {
+        send: (env, message) => sendJsonEmail(env.EMAIL_API_URL, env, message)
+    },
+    // Writes emails to the Worker's log instead of sending them
+    log: {
+        send: async (env, message) => console.log('Email:', JSON.stringify(message))
+    }
+};
+
+// The configured email adapter, or null when email is turned off
+function getEmailProvider(env) {
+    const name = env.EMAIL_PROVIDER;
+    if (!name) {
+        return null;
+    }
+    if (!EMAIL_PROVIDERS[name]) {
+        throw new Error(`Unknown EMAIL_PROVIDER: ${name}`);
+    }
+    return { name, ...EMAIL_PROVIDERS[name] };
+}
+
+function parseList(value) {
+    return (value || '').split(',').map(item => item.trim()).filter(Boolean);
+}
+
+// POST an event to a webhook endpoint, signed so the receiver can check it came from us:
+// X-Webhook-Signature is "sha256=" and the base64url HMAC-SHA256 of "<X-Webhook-Timestamp>.<body>"
+// under WEBHOOK_SECRET. Network errors, 408, 429 and 5xx responses are retried with backoff.
+async function deliverWebhook(env, url, event, body, deliveryId) {
+    for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+        const timestamp = String(Math.floor(Date.now() / 1000));
+        try {
+            const response = await fetch(url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'blog-comments-webhook',
+                    'X-Webhook-Event': event,
+                    'X-Webhook-Id': deliveryId,
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${await hmacSign(env.WEBHOOK_SECRET, `${timestamp}.${body}`)}`
+                },
+                body
+            });
+            if (response.ok) {
+                return;
+            }
+            console.error(`Webhook ${url} returned ${response.status} (attempt ${attempt})`);
+            // The endpoint turned the delivery down; sending it again won't change that
+            if (response.status < 500 && response.status !== 408 && response.status !== 429) {
+                return;
+            }
+        } catch (error) {
+            console.error(`Webhook ${url} failed (attempt ${attempt}):`, error);
+        }
+
+        if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+            await new Promise(resolve => setTimeout(resolve, WEBHOOK_RETRY_DELAY * 2 ** (attempt - 1)));
+        }
+    }
+}
+
+async function sendWebhooks(env, event, comment) {
+    const urls = parseList(env.NOTIFICATION_WEBHOOKS);
+    if (urls.length === 0) {
+        return;
+    }
+    if (!env.WEBHOOK_SECRET) {
+        console.error('NOTIFICATION_WEBHOOKS is set but WEBHOOK_SECRET is not; webhooks were not sent');
+        return;
+    }
+
+    const deliveryId = crypto.randomUUID();
+    const body = JSON.stringify({
+        id: deliveryId,
+        event,
+        created_at: new Date().toISOString(),
+        comment
+    });
+    await Promise.all(urls.map(url => deliverWebhook(env, url, event, body, deliveryId)));
+}
+
+async function emailAdmins(env, origin, comment) {
+    const to = parseList(env.NOTIFY_ADMIN_EMAIL);
+    const provider = getEmailProvider(env);
+    if (to.length === 0 || !provider) {
+        return;
+    }
+
+    await provider.send(env, {
+        to,
+        subject: comment.status === 'pending'
+            ? `Comment awaiting moderation on ${comment.page_url}`
+            : `New comment on ${comment.page_url}`,
+        text: `${comment.author_name} wrote on ${comment.page_url}:\n\n${comment.comment_content}\n\nModerate comments: ${origin}/admin`
+    });
+}
+
+// Email the author of the comment being replied to, if they subscribed (and aren't replying to themselves)
+async function emailReplySubscriber(env, origin, reply) {
+    const provider = getEmailProvider(env);
+    if (!provider) {
+        return;
+    }
+
+    const subscription = await env.DB.prepare(`
+        SELECT s.email, s.token
+        FROM reply_subscriptions s
+        WHERE s.comment_id = ?
+          AND NOT EXISTS (
+              SELECT 1 FROM reply_subscriptions own
+              WHERE own.comment_id = ? AND lower(own.email) = lower(s.email)
+          )
+    `).bind(reply.parent_id, reply.id).first();
+
+    if (!subscription) {
+        return;
+    }
+
+    const unsubscribeUrl = `${origin}/api/notifications/unsubscribe?token=${encodeURIComponent(subscription.token)}`;
+    await provider.send(env, {
+        to: [subscription.email],
+        subject: `${reply.author_name} replied to your comment`,
+        text: `${reply.author_name} replied to your comment on ${reply.page_url}:\n\n${reply.comment_content}\n\n` +
+            `Read the conversation: ${reply.page_url}#comment-${reply.id}\n\n` +
+            `Stop emails about replies to this comment: ${unsubscribeUrl}`,
+        headers: {
+            'List-Unsubscribe': `<${unsubscribeUrl}>`,
+            'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click'
+        }
+    });
+}
+
+// Send every notification a new ("comment.created") or newly published ("comment.approved")
+// comment calls for. Each channel fails on its own, and only into the log.
+async function sendCommentNotifications(env, origin, event, comment) {
+    const payload = {
+        id: comment.id,
+        parent_id: comment.parent_id,
+        site_id: comment.site_id ?? null,
+        page_url: comment.page_url,
+        author_name: comment.author_name,
+        comment_content: comment.comment_content,
+        created_at: comment.created_at,
+        status: comment.status
+    };
+
+    const channels = [
+        ['Webhook', () => sendWebhooks(env, event, payload)],
+        ['Admin email', () => event === 'comment.created' && emailAdmins(env, origin, payload)],
+        ['Reply email', () => payload.status === 'approved' && payload.parent_id && emailReplySubscriber(env, origin, payload)]
+    ];
+
+    await Promise.all(channels.map(async ([name, send]) => {
+        try {
+            await send();
+        } catch (error) {
+            console.error(`${name} notification error:`, error);
+        }
+    }));
+}
+
+// Admin sessions live in the SECRETS KV namespace; the cookie holds the session ID and its signature
+const SESSION_COOKIE = 'admin_session';
+const DEFAULT_SESSION_TTL = 8 * 60 * 60; // 8 hours, in seconds
+
+// Admin routes are disabled entirely unless a secret and session storage are configured
+function isAdminConfigured(env) {
+    return Boolean(env.ADMIN_SECRET_KEY) && Boolean(env.SECRETS);
+}
+
+function getSessionTTL(env) {
+    const ttl = parseInt(env.ADMIN_SESSION_TTL, 10);
+    // KV rejects expiration TTLs under 60 seconds
+    return Number.isInteger(ttl) && ttl >= 60 ? ttl : DEFAULT_SESSION_TTL;
+}
+
+function toBase64Url(bytes) {
+    return btoa(String.fromCharCode(...new Uint8Array(bytes)))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function fromBase64Url(value) {
+    const binary = atob(value.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, char => char.charCodeAt(0));
+}
+
+function randomToken(byteLength = 32) {
+    return toBase64Url(crypto.getRandomValues(new Uint8Array(byteLength)));
+}
+
+async function hmacSign(secret, data) {
+    const encoder = new TextEncoder();
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    return toBase64Url(await crypto.subtle.sign('HMAC', key, encoder.encode(data)));
+}
+
+// A key of its own for each thing a secret signs, so a signature made for one purpose (like a public
+// form token) is never valid for another (like an admin session)
+async function deriveKey(secret, purpose) {
+    return hmacSign(secret, `key:${purpose}`);
+}
+
+// Compare two strings without leaking where they differ: both sides are hashed
+// to a fixed length first, then every byte is compared
+async function timingSafeEqual(a, b) {
+    const encoder = new TextEncoder();
+    const [hashA, hashB] = await Promise.all([
+        crypto.subtle.digest('SHA-256', encoder.encode(String(a))),
+        crypto.subtle.digest('SHA-256', encoder.encode(String(b)))
+    ]);
+    const bytesA = new Uint8Array(hashA);
+    const bytesB = new Uint8Array(hashB);
+
+    let diff = 0;
+    for (let i = 0; i < bytesA.length; i++) {
+        diff |= bytesA[i] ^ bytesB[i];
+    }
+    return diff === 0;
+}
+
+// Admin roles, from least to most privileged
+const ADMIN_ROLES = ['read-only', 'moderator', 'owner'];
+
+// Logging in with ADMIN_SECRET_KEY (and no username) acts as this built-in owner account
+const SECRET_KEY_ADMIN = { username: 'admin', role: 'owner' };
+
+function hasRole(session, role) {
+    return ADMIN_ROLES.indexOf(session.role) >= ADMIN_ROLES.indexOf(role);
+}
+
+// Workers cap PBKDF2 at 100,000 iterations
+const PASSWORD_ITERATIONS = 100000;
+
+// Hash a password as "pbkdf2$<iterations>$<salt>$<hash>"
+async function hashPassword(password, salt = crypto.getRandomValues(new Uint8Array(16)), iterations = PASSWORD_ITERATIONS) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        new TextEncoder().encode(password),
+        'PBKDF2',
+        false,
+        ['deriveBits']
+    );
+    const hash = await crypto.subtle.deriveBits(
+        { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+        key,
+        256
+    );
+    return `pbkdf2$${iterations}$${toBase64Url(salt)}$${toBase64Url(hash)}`;
+}
+
+async function verifyPassword(password, storedHash) {
+    const [scheme, iterations, salt] = storedHash.split('$');
+    if (scheme !== 'pbkdf2') {
+        return false;
+    }
+    const candidate = await hashPassword(password, fromBase64Url(salt), Number(iterations));
+    return timingSafeEqual(candidate, storedHash);
+}
+
+function getCookie(request, name) {
+    const header = request.headers.get('Cookie') || '';
+    for (const part of header.split(';')) {
+        const [key, ...value] = part.trim().split('=');
+        if (key === name) {
+            return value.join('=');
+        }
+    }
+    return null;
+}
+
+function sessionCookie(value, maxAge) {
+    return `${SESSION_COOKIE}=${value}; Path=/; HttpOnly; Secure; SameSite=Strict; Max-Age=${maxAge}`;
+}
+
+// Create a session for an admin user and return the Set-Cookie header value for it
+async function createAdminSession(env, user) {
+    const ttl = getSessionTTL(env);
+    const sessionId = randomToken();
+    const now = Date.now();
+
+    await env.SECRETS.put(`session:${sessionId}`, JSON.stringify({
+        user_id: user.id || null,
+        username: user.username,
+        role: user.role,
+        created_at: now,
+        expires_at: now + ttl * 1000
+    }), { expirationTtl: ttl });
+
+    const signature = await hmacSign(env.ADMIN_SECRET_KEY, sessionId);
+    return sessionCookie(`${sessionId}.${signature}`, ttl);
+}
+
+// Return { id, username, role } for a valid, unexpired session cookie, or null
+async function getAdminSession(request, env) {
+    if (!isAdminConfigured(env)) {
+        return null;
+    }
+
+    const cookie = getCookie(request, SESSION_COOKIE);
+    if (!cookie) {
+        return null;
+    }
+
+    const [sessionId, signature] = cookie.split('.');
+    if (!sessionId || !signature) {
+        return null;
+    }
+
+    // Sessions are signed with the admin secret, so rotating it logs everyone out
+    const expected = await hmacSign(env.ADMIN_SECRET_KEY, sessionId);
+    if (!(await timingSafeEqual(signature, expected))) {
+        return null;
+    }
+
+    const session = await env.SECRETS.get(`session:${sessionId}`, 'json');
+    if (!session || session.expires_at < Date.now()) {
+        return null;
+    }
+
+    // Pick up role changes and deleted accounts without waiting for the session to expire
+    if (session.user_id) {
+        const user = await env.DB.prepare(`
+            SELECT username, role FROM admin_users WHERE id = ?
+        `).bind(session.user_id).first();
+
+        if (!user) {
+            return null;
+        }
+        return { id: sessionId, username: user.username, role: user.role };
+    }
+
+    return { id: sessionId, username: session.username, role: session.role };
+}
+
+// Check the session and role for an admin request.
+// Returns { session } to continue, or { error } holding the response to send.
+async function authorizeAdmin(request, env, role = 'read-only') {
+    if (!isAdminConfigured(env)) {
+        return {
+            error: new Response(
+                JSON.stringify({ error: 'Admin access is disabled: ADMIN_SECRET_KEY and the SECRETS KV namespace must be configured' }),
+                {
+                    status: 503,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            )
+        };
+    }
+
+    const session = await getAdminSession(request, env);
+
+    if (!session) {
+        return {
+            error: new Response(
+                JSON.stringify({ error: 'Unauthorized' }),
+                {
+                    status: 401,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            )
+        };
+    }
+
+    if (!hasRole(session, role)) {
+        return {
+            error: new Response(
+                JSON.stringify({ error: `This action requires the ${role} role` }),
+                {
+                    status: 403,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            )
+        };
+    }
+
+    return { session };
+}
+
+// Build an audit log entry; returned as a statement so it can be batched with the change it records
+function auditStatement(env, session, action, commentId = null, details = null) {
+    return env.DB.prepare(`
+        INSERT INTO audit_log (actor, action, comment_id, details)
+        VALUES (?, ?, ?, ?)
+    `).bind(session.username, action, commentId, details ? JSON.stringify(details) : null);
+}
+
+// Keep a copy of a comment as it is, with who is changing it and how; batched just ahead of the change
+function revisionStatement(env, session, action, commentId) {
+    return env.DB.prepare(`
+        INSERT INTO comment_revisions (comment_id, author_name, comment_content, status, editor, action)
+        SELECT id, author_name, comment_content, status, ?, ? FROM comments WHERE id = ?
+    `).bind(session.username, action, commentId);
+}
+
+// Page sizes for paginated listings
+const DEFAULT_PAGE_SIZE = 20;
+const DEFAULT_ADMIN_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Read the limit parameter, falling back to the default and capping at MAX_PAGE_SIZE
+function parseLimit(value, defaultLimit) {
+    if (value === null || value === '') {
+        return defaultLimit;
+    }
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+        return null;
+    }
+    return Math.min(Number(value), MAX_PAGE_SIZE);
+}
+
+// Cursors are opaque to clients: the created_at and id of the last comment on the page, and the
+// value it is sorted by when that's something else (its score, or its author's name in the admin)
+function encodeCursor(comment, sortValue = Number.isInteger(comment.score) ? comment.score : null) {
+    const position = [comment.created_at, comment.id];
+    if (sortValue !== null) {
+        position.push(sortValue);
+    }
+    return btoa(JSON.stringify(position))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [createdAt, id, sortValue = null] = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+        if (typeof createdAt !== 'string' || !Number.isInteger(id) ||
+            (sortValue !== null && !Number.isInteger(sortValue) && typeof sortValue !== 'string')) {
+            return null;
+        }
+        return { createdAt, id, sortValue };
+    } catch (_) {
+        return null;
+    }
+}
+
+// Comments are stored as markdown source; API responses carry the rendered HTML alongside it
+function withCommentHtml(comment) {
+    return { ...comment, comment_html: renderMarkdown(comment.comment_content) };
+}
+
+// Reactions readers can leave on a comment without replying; upvotes also rank comments in the "top" order
+const REACTIONS = ['upvote', 'heart', 'laugh', 'hooray', 'surprised'];
+
+// A column with a comment's reaction counts as a JSON object, for queries on comments aliased c
+const REACTION_COUNTS_SQL = `(
+    SELECT json_group_object(reaction, count) FROM (
+        SELECT reaction, COUNT(*) AS count FROM comment_reactions WHERE comment_id = c.id GROUP BY reaction
+    )
+) AS reactions`;
+
+// Turn the reactions column into { [reaction]: count }; reactions nobody has left are omitted
+function withReactions(comment) {
+    return { ...comment, reactions: JSON.parse(comment.reactions || '{}') };
+}
+
+// Orders the top-level comments on a page can be sorted in; replies always follow their parent, oldest first.
+// Each picks up after a cursor's comment with its condition, whose parameters come from cursorParams.
+const COMMENT_SORTS = {
+    oldest: {
+        orderBy: 'created_at ASC, id ASC',
+        after: '(created_at > ? OR (created_at = ? AND id > ?))',
+        cursorParams: cursor => [cursor.createdAt, cursor.createdAt, cursor.id]
+    },
+    newest: {
+        orderBy: 'created_at DESC, id DESC',
+        after: '(created_at < ? OR (created_at = ? AND id < ?))',
+        cursorParams: cursor => [cursor.createdAt, cursor.createdAt, cursor.id]
+    },
+    // Most upvoted first, and oldest first among equals. Votes can move a comment between pages
+    // while a reader is paging through, so one may occasionally be skipped or shown twice.
+    top: {
+        orderBy: 'score DESC, created_at ASC, id ASC',
+        after: '(score < ? OR (score = ? AND (created_at > ? OR (created_at = ? AND id > ?))))',
+        cursorParams: cursor => [cursor.sortValue, cursor.sortValue, cursor.createdAt, cursor.createdAt, cursor.id]
+    }
+};
+
+// Orders the admin comment list can be sorted in, on comments aliased c, in the same shape as COMMENT_SORTS.
+// Sorts on something other than created_at keep that value in the cursor, taken from a comment by sortValue.
+const ADMIN_COMMENT_SORTS = {
+    newest: {
+        orderBy: 'c.created_at DESC, c.id DESC',
+        after: '(c.created_at < ? OR (c.created_at = ? AND c.id < ?))',
+        cursorParams: cursor => [cursor.createdAt, cursor.createdAt, cursor.id]
+    },
+    oldest: {
+        orderBy: 'c.created_at ASC, c.id ASC',
+        after: '(c.created_at > ? OR (c.created_at = ? AND c.id > ?))',
+        cursorParams: cursor => [cursor.createdAt, cursor.createdAt, cursor.id]
+    },
+    author: {
+        orderBy: 'c.author_name COLLATE NOCASE ASC, c.id ASC',
+        after: '(c.author_name > ? COLLATE NOCASE OR (c.author_name = ? COLLATE NOCASE AND c.id > ?))',
+        cursorParams: cursor => [cursor.sortValue, cursor.sortValue, cursor.id],
+        sortValue: comment => comment.author_name
+    }
+};
+
+// Order a flat list of comments into threads, depth-first, and tag each with its depth.
+// Replies whose parent is missing (e.g. deleted or not approved) are shown as top-level comments.
+function buildThreadedList(comments) {
+    const byId = new Map(comments.map(comment => [comment.id, comment]));
+    const children = new Map();
+    const roots = [];
+
+    for (const comment of comments) {
+        if (comment.parent_id && byId.has(comment.parent_id)) {
+            if (!children.has(comment.parent_id)) {
+                children.set(comment.parent_id, []);
+            }
+            children.get(comment.parent_id).push(comment);
+        } else {
+            roots.push(comment);
+        }
+    }
+
+    const threaded = [];
+    const visit = (comment, depth) => {
+        threaded.push({ ...comment, depth });
+        for (const child of children.get(comment.id) || []) {
+            visit(child, depth + 1);
+        }
+    };
+    roots.forEach(comment => visit(comment, 0));
+
+    return threaded;
+}
+
+// Public comment pages are kept in the Workers Cache API for this many seconds; COMMENTS_CACHE_TTL
+// overrides it and 0 turns caching off. The cache is local to each data center: writes purge the
+// page where they happen, and other data centers pick up the change when their copy expires.
+const DEFAULT_COMMENTS_CACHE_TTL = 60;
+
+function getCommentsCacheTtl(env) {
+    const ttl = parseInt(env.COMMENTS_CACHE_TTL, 10);
+    return Number.isInteger(ttl) && ttl >= 0 ? ttl : DEFAULT_COMMENTS_CACHE_TTL;
+}
+
+// A page's cached responses are keyed by a version, itself cached. Purging a page just drops
+// its version, which orphans every cursor and page size cached for it at once.
+function commentsCacheVersionKey(request, pageUrl) {
+    return new Request(`${new URL(request.url).origin}/__cache/comments-version?page_url=${encodeURIComponent(pageUrl)}`);
+}
+
+async function getCommentsCacheKey(request, pageUrl, sort, cursorParam, limit, ttl) {
+    const versionKey = commentsCacheVersionKey(request, pageUrl);
+    const cached = await caches.default.match(versionKey);
+    let version = cached ? await cached.text() : null;
+
+    if (!version) {
+        version = randomToken(8);
+        await caches.default.put(versionKey, new Response(version, {
+            headers: { 'Cache-Control': `public, max-age=${ttl}` }
+        }));
+    }
+
+    const params = new URLSearchParams({ page_url: pageUrl, sort, cursor: cursorParam || '', limit, v: version });
+    return new Request(`${new URL(request.url).origin}/__cache/comments?${params}`);
+}
+
+// Drop the cached comments of pages whose visible comments changed. A failure only means
+// readers see the old comments until they expire, so it doesn't fail the write.
+async function purgeCommentsCache(request, pageUrls) {
+    try {
+        await Promise.all([...new Set(pageUrls)].map(pageUrl =>
+            caches.default.delete(commentsCacheVersionKey(request, pageUrl))));
+    } catch (error) {
+        console.error('Cache error:', error);
+    }
+}
+
+async function computeEtag(body) {
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body));
+    return `"${toBase64Url(new Uint8Array(digest).slice(0, 16))}"`;
+}
+
+// Send a comments page, or 304 Not Modified when the client already has this version.
+// Browsers revalidate on every load (no-cache), so an unchanged thread costs an empty response.
+function commentsResponse(request, body, etag) {
+    const ifNoneMatch = request.headers.get('If-None-Match') || '';
+    const notModified = ifNoneMatch.split(',')
+        .map(tag => tag.trim().replace(/^W\//, ''))
+        .some(tag => tag === etag || tag === '*');
+
+    return new Response(notModified ? null : body, {
+        status: notModified ? 304 : 200,
+        headers: {
+            ...(notModified ? {} : { 'Content-Type': 'application/json' }),
+            'ETag': etag,
+            'Cache-Control': 'no-cache',
+            ...corsHeaders()
+        }
+    });
+}
+
+// Changes to a page's visible comments are recorded as events, so widgets can apply them in place:
+// pushed over a live channel when one is configured, or polled with GET /api/comments/updates.
+// Events are kept for a day; clients further behind than that reload the page's comments.
+const COMMENT_EVENT_RETENTION = '-1 day';
+const MAX_COMMENT_EVENTS = 100;
+
+function commentEventStatement(env, pageUrl, commentId, type) {
+    return env.DB.prepare(`
+        INSERT INTO comment_events (page_url, comment_id, type) VALUES (?, ?, ?)
+    `).bind(pageUrl, commentId, type);
+}
+
+// Events on a page after the event ID since, with the comments they refer to as they are now.
+// Added or edited comments that have since been hidden are skipped; their "deleted" event follows.
+async function loadCommentUpdates(env, pageUrl, since) {
+    const [events, oldest, total] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT e.id AS event_id, e.type, e.comment_id,
+                   c.id, c.parent_id, c.author_name, c.comment_content, c.created_at, c.edited_at, c.page_url, c.status,
+                   ${REACTION_COUNTS_SQL}
+            FROM comment_events e
+            LEFT JOIN comments c ON c.id = e.comment_id
+            WHERE e.page_url = ? AND e.id > ?
+            ORDER BY e.id ASC
+            LIMIT ?
+        `).bind(pageUrl, since, MAX_COMMENT_EVENTS + 1),
+        env.DB.prepare(`
+            SELECT MIN(id) AS id FROM comment_events
+        `),
+        env.DB.prepare(`
+            SELECT COUNT(*) AS count FROM comments WHERE page_url = ? AND status = 'approved'
+        `).bind(pageUrl)
+    ]);
+
+    const rows = (events.results || []).slice(0, MAX_COMMENT_EVENTS);
+    const oldestId = oldest.results?.[0]?.id;
+
+    // Too many changes to apply one by one, or some of them are no longer kept
+    const reload = (events.results || []).length > MAX_COMMENT_EVENTS ||
+        (oldestId !== null && oldestId !== undefined && since < oldestId - 1);
+
+    return {
+        events: reload ? [] : rows
+            .filter(row => row.type === 'deleted' || row.status === 'approved')
+            .map(row => ({
+                id: row.event_id,
+                type: row.type,
+                comment_id: row.comment_id,
+                ...(row.type === 'deleted' ? {} : {
+                    comment: withCommentHtml(withReactions({
+                        id: row.id,
+                        parent_id: row.parent_id,
+                        author_name: row.author_name,
+                        comment_content: row.comment_content,
+                        created_at: row.created_at,
+                        edited_at: row.edited_at,
+                        page_url: row.page_url,
+                        reactions: row.reactions
+                    }))
+                })
+            })),
+        last_event_id: rows.length > 0 ? rows[rows.length - 1].event_id : since,
+        total: total.results?.[0]?.count || 0,
+        reload
+    };
+}
+
+// The ID to poll for updates from after loading a page's comments. Pages without events start
+// just before the oldest kept event, so they don't look as if they had missed any.
+async function getLastCommentEventId(env, pageUrl) {
+    const result = await env.DB.prepare(`
+        SELECT COALESCE(
+            (SELECT MAX(id) FROM comment_events WHERE page_url = ?),
+            (SELECT MIN(id) - 1 FROM comment_events),
+            0
+        ) AS id
+    `).bind(pageUrl).first();
+    return result?.id || 0;
+}
+
+// Tell the browsers watching a page live that its events from firstEventId on are there to fetch.
+// The notice carries no events: writes that land together can be announced out of order, while
+// /api/comments/updates only ever returns them in order.
+// Like purging the cache, a failure here doesn't fail the write: widgets catch up when they next poll.
+async function broadcastCommentEvents(env, pageUrl, firstEventId) {
+    if (!env.COMMENT_CHANNELS) {
+        return;
+    }
+
+    try {
+        const channel = env.COMMENT_CHANNELS.get(env.COMMENT_CHANNELS.idFromName(pageUrl));
+        await channel.fetch('https://comment-channel/broadcast', {
+            method: 'POST',
+            body: JSON.stringify({ type: 'changed', event_id: firstEventId })
+        });
+    } catch (error) {
+        console.error('Live update error:', error);
+    }
+}
+
+// Get comments for a specific page
+async function getComments(request, env, ctx) {
+    const url = new URL(request.url);
+    const rawPageUrl = url.searchParams.get('page_url');
+
+    if (!rawPageUrl) {
+        return new Response(
+            JSON.stringify({ error: 'page_url parameter is required' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    if (!isValidUrl(rawPageUrl)) {
+        return new Response(
+            JSON.stringify({ error: 'Invalid page_url format' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    const sort = url.searchParams.get('sort') || 'oldest';
+    if (!Object.hasOwn(COMMENT_SORTS, sort)) {
+        return new Response(
+            JSON.stringify({ error: `sort must be one of: ${Object.keys(COMMENT_SORTS).join(', ')}` }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_PAGE_SIZE);
+    const cursorParam = url.searchParams.get('cursor');
+    const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+
+    if (!limit || (cursorParam && (!cursor || (sort === 'top' && !Number.isInteger(cursor.sortValue))))) {
+        return new Response(
+            JSON.stringify({ error: limit ? 'Invalid cursor' : 'limit must be a positive integer' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const pageUrl = await resolvePageUrl(request, env, ctx, rawPageUrl);
+        const order = COMMENT_SORTS[sort];
+
+        const { error: siteError } = await authorizeSite(request, env, ctx, url.searchParams.get('site_key'), pageUrl);
+        if (siteError) {
+            return siteError;
+        }
+
+        const cacheTtl = getCommentsCacheTtl(env);
+        const cacheKey = cacheTtl > 0 ? await getCommentsCacheKey(request, pageUrl, sort, cursorParam, limit, cacheTtl) : null;
+        const cached = cacheKey ? await caches.default.match(cacheKey) : null;
+        if (cached) {
+            return commentsResponse(request, await cached.text(), cached.headers.get('ETag'));
+        }
+
+        // Pages are made of top-level comments, in the requested order. A reply whose parent
+        // is no longer approved is treated as top-level.
+        const threads = await env.DB.prepare(`
+            SELECT id, created_at, score FROM (
+                SELECT c.id, c.created_at, (
+                    SELECT COUNT(*) FROM comment_reactions r WHERE r.comment_id = c.id AND r.reaction = 'upvote'
+                ) AS score
+                FROM comments c
+                WHERE c.page_url = ? AND c.status = 'approved'
+                  AND (c.parent_id IS NULL OR NOT EXISTS (
+                      SELECT 1 FROM comments p WHERE p.id = c.parent_id AND p.status = 'approved'
+                  ))
+            )
+            ${cursor ? `WHERE ${order.after}` : ''}
+            ORDER BY ${order.orderBy}
+            LIMIT ?
+        `).bind(
+            pageUrl,
+            ...(cursor ? order.cursorParams(cursor) : []),
+            limit + 1
+        ).all();
+
+        const roots = (threads.results || []).slice(0, limit);
+        const hasMore = (threads.results || []).length > limit;
+
+        // Fetch each thread in full so a page never splits a conversation
+        let result = { results: [] };
+        if (roots.length > 0) {
+            const placeholders = roots.map(() => '?').join(', ');
+            result = await env.DB.prepare(`
+                WITH RECURSIVE thread(id) AS (
+                    SELECT id FROM comments WHERE id IN (${placeholders})
+                    UNION ALL
+                    SELECT c.id FROM comments c
+                    JOIN thread t ON c.parent_id = t.id
+                    WHERE c.status = 'approved'
+                )
+                SELECT c.id, c.parent_id, c.author_name, c.comment_content, c.created_at, c.edited_at, c.page_url,
+                       ${REACTION_COUNTS_SQL}
+                FROM comments c
+                WHERE c.id IN (SELECT id FROM thread)
+                ORDER BY c.created_at ASC, c.id ASC
+            `).bind(...roots.map(root => root.id)).all();
+        }
+
+        const total = await env.DB.prepare(`
+            SELECT COUNT(*) AS count FROM comments WHERE page_url = ? AND status = 'approved'
+        `).bind(pageUrl).first();
+
+        // Threads come out in the page's order; each thread's replies stay oldest first
+        const position = new Map(roots.map((root, i) => [root.id, i]));
+        const rows = (result.results || []).slice().sort((a, b) =>
+            (position.get(a.id) ?? roots.length) - (position.get(b.id) ?? roots.length));
+        const comments = buildThreadedList(rows).map(withReactions).map(withCommentHtml);
+
+        const body = JSON.stringify({
+            comments,
+            page_url: pageUrl,
+            sort,
+            count: comments.length,
+            total: total?.count || 0,
+            next_cursor: hasMore ? encodeCursor(roots[roots.length - 1]) : null,
+            last_event_id: await getLastCommentEventId(env, pageUrl)
+        });
+        const etag = await computeEtag(body);
+
+        if (cacheKey) {
+            await caches.default.put(cacheKey, new Response(body, {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'ETag': etag,
+                    'Cache-Control': `public, max-age=${cacheTtl}`
+                }
+            }));
+        }
+
+        return commentsResponse(request, body, etag);
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve comments' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Changes to a page's comments since the event ID in ?since=, for widgets without a live channel
+async function getCommentUpdates(request, env, ctx) {
+    const url = new URL(request.url);
+    const rawPageUrl = url.searchParams.get('page_url');
+    const since = url.searchParams.get('since');
+
+    let validationError = null;
+    if (!rawPageUrl) {
+        validationError = 'page_url parameter is required';
+    } else if (!isValidUrl(rawPageUrl)) {
+        validationError = 'Invalid page_url format';
+    } else if (!/^\d+$/.test(since || '')) {
+        validationError = 'since must be an event ID';
+    }
+
+    if (validationError) {
+        return new Response(
+            JSON.stringify({ error: validationError }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const pageUrl = await resolvePageUrl(request, env, ctx, rawPageUrl);
+
+        const { error: siteError } = await authorizeSite(request, env, ctx, url.searchParams.get('site_key'), pageUrl);
+        if (siteError) {
+            return siteError;
+        }
+
+        const updates = await loadCommentUpdates(env, pageUrl, Number(since));
+
+        return new Response(
+            JSON.stringify(updates),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Cache-Control': 'no-store',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve updates' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Open a live channel for a page's comments: a WebSocket, handed to the page's CommentChannel
+async function connectLiveUpdates(request, env, ctx) {
+    const url = new URL(request.url);
+    const rawPageUrl = url.searchParams.get('page_url');
+
+    let validationError = null;
+    let status = 400;
+    if (!env.COMMENT_CHANNELS) {
+        validationError = 'Live updates are not enabled; poll /api/comments/updates instead';
+        status = 501;
+    } else if (request.headers.get('Upgrade') !== 'websocket') {
+        validationError = 'Expected a WebSocket upgrade';
+        status = 426;
+    } else if (!rawPageUrl) {
+        validationError = 'page_url parameter is required';
+    } else if (!isValidUrl(rawPageUrl)) {
+        validationError = 'Invalid page_url format';
+    }
+
+    if (validationError) {
+        return new Response(
+            JSON.stringify({ error: validationError }),
+            {
+                status,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const pageUrl = await resolvePageUrl(request, env, ctx, rawPageUrl);
+
+        const { error: siteError } = await authorizeSite(request, env, ctx, url.searchParams.get('site_key'), pageUrl);
+        if (siteError) {
+            return siteError;
+        }
+
+        const channel = env.COMMENT_CHANNELS.get(env.COMMENT_CHANNELS.idFromName(pageUrl));
+        return channel.fetch(request);
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to open live updates' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// One-click unsubscribe from the link in a reply email. GET is the link itself; POST is what
+// mail clients send for List-Unsubscribe-Post (RFC 8058). Either way the subscription is removed.
+async function unsubscribeReplies(request, env) {
+    const token = new URL(request.url).searchParams.get('token') || '';
+
+    try {
+        const result = await env.DB.prepare(`
+            DELETE FROM reply_subscriptions WHERE token = ?
+        `).bind(token).run();
+
+        const message = result.meta.changes > 0
+            ? 'You won\'t get any more emails about replies to your comment.'
+            : 'This link has already been used, or the comment no longer exists.';
+
+        return new Response(getUnsubscribeHTML(message), {
+            headers: {
+                'Content-Type': 'text/html'
+            }
+        });
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(getUnsubscribeHTML('Something went wrong. Please try the link again later.'), {
+            status: 500,
+            headers: {
+                'Content-Type': 'text/html'
+            }
+        });
+    }
+}
+
+// Most pages a single count request can ask about
+const MAX_COUNT_URLS = 50;
+
+// Count approved comments for several pages at once, for post listings.
+// GET takes repeated page_url parameters and can be cached; POST takes { page_urls, site_key }
+// for lists too long for a query string. Counts are keyed by the URLs exactly as given.
+async function getCommentCounts(request, env, ctx) {
+    const url = new URL(request.url);
+    let pageUrls = url.searchParams.getAll('page_url');
+    let siteKey = url.searchParams.get('site_key');
+
+    if (request.method === 'POST') {
+        let body;
+        try {
+            body = await request.json();
+        } catch (_) {
+            body = {};
+        }
+        pageUrls = Array.isArray(body.page_urls) ? body.page_urls : [];
+        siteKey = body.site_key;
+    }
+
+    pageUrls = [...new Set(pageUrls)];
+
+    if (pageUrls.length === 0 || pageUrls.length > MAX_COUNT_URLS) {
+        return new Response(
+            JSON.stringify({ error: `Between 1 and ${MAX_COUNT_URLS} page URLs are required` }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    if (!pageUrls.every(pageUrl => typeof pageUrl === 'string' && isValidUrl(pageUrl))) {
+        return new Response(
+            JSON.stringify({ error: 'Invalid page_url format' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        // Resolve every URL to the thread it is stored under, looking up all aliases in one query
+        const normalized = pageUrls.map(pageUrl => normalizePageUrl(env, pageUrl));
+        const normalizedPlaceholders = normalized.map(() => '?').join(', ');
+        const aliases = await env.DB.prepare(`
+            SELECT alias_url, canonical_url FROM page_aliases WHERE alias_url IN (${normalizedPlaceholders})
+        `).bind(...normalized).all();
+        const canonicalUrls = new Map((aliases.results || []).map(alias => [alias.alias_url, alias.canonical_url]));
+        const resolved = normalized.map(pageUrl => canonicalUrls.get(pageUrl) || pageUrl);
+
+        const { error: siteError } = await authorizeSite(request, env, ctx, siteKey, resolved);
+        if (siteError) {
+            return siteError;
+        }
+
+        const threads = [...new Set(resolved)];
+        const result = await env.DB.prepare(`
+            SELECT page_url, COUNT(*) AS count
+            FROM comments
+            WHERE page_url IN (${threads.map(() => '?').join(', ')}) AND status = 'approved'
+            GROUP BY page_url
+        `).bind(...threads).all();
+        const totals = new Map((result.results || []).map(row => [row.page_url, row.count]));
+
+        const counts = {};
+        pageUrls.forEach((pageUrl, i) => {
+            counts[pageUrl] = totals.get(resolved[i]) || 0;
+        });
+
+        return new Response(
+            JSON.stringify({ counts }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    // Counts can lag a little; listing pages ask for the same URLs on every view
+                    ...(request.method === 'GET' ? { 'Cache-Control': 'public, max-age=60' } : {}),
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to count comments' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Each new comment comes with a secret edit token that lets its author edit or delete it for this
+// many seconds after posting. EDIT_WINDOW_SECONDS overrides it and 0 turns author edits off.
+const DEFAULT_EDIT_WINDOW = 15 * 60;
+
+// Edits are rerun through the filters that judge what a comment says; the others only make sense for new comments
+const EDIT_SPAM_FILTERS = ['links', 'blocked_words'];
+
+// Audit log actor for commenters deleting their own comments; it can't clash with an admin username
+const COMMENT_AUTHOR_ACTOR = { username: '(author)' };
+
+function getEditWindow(env) {
+    const seconds = parseInt(env.EDIT_WINDOW_SECONDS, 10);
+    return Number.isInteger(seconds) && seconds >= 0 ? seconds : DEFAULT_EDIT_WINDOW;
+}
+
+// Only hashes of edit tokens and voter IDs are stored, so the database alone can't be used to change comments or reactions
+async function hashToken(token) {
+    return toBase64Url(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(token)));
+}
+
+// When the edit window of a comment closes, as an ISO timestamp (created_at is UTC, without a time zone)
+function getEditExpiry(comment, editWindow) {
+    return new Date(Date.parse(`${comment.created_at.replace(' ', 'T')}Z`) + editWindow * 1000).toISOString();
+}
+
+// Check the X-Edit-Token header against a comment.
+// Returns { comment } when its author may still change it, or { error } with the response to send.
+async function authorizeCommentAuthor(request, env, commentId) {
+    const token = request.headers.get('X-Edit-Token');
+    const editWindow = getEditWindow(env);
+
+    const comment = await env.DB.prepare(`
+        SELECT id, page_url, author_name, status, edit_token_hash,
+               created_at > datetime('now', ?) AS editable
+        FROM comments
+        WHERE id = ?
+    `).bind(`-${editWindow} seconds`, commentId).first();
+
+    if (!comment || comment.status === 'deleted') {
+        return {
+            error: new Response(
+                JSON.stringify({ error: 'Comment not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            )
+        };
+    }
+
+    if (!token || !comment.edit_token_hash || !(await timingSafeEqual(await hashToken(token), comment.edit_token_hash))) {
+        return {
+            error: new Response(
+                JSON.stringify({ error: 'Invalid edit token' }),
+                {
+                    status: 403,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            )
+        };
+    }
+
+    // Rejected comments stay as the moderator left them
+    if (editWindow === 0 || !comment.editable || comment.status === 'rejected') {
+        return {
+            error: new Response(
+                JSON.stringify({ error: 'This comment can no longer be changed' }),
+                {
+                    status: 403,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            )
+        };
+    }
+
+    return { comment };
+}
+
+// Create a new comment
+async function createComment(request, env, ctx) {
+    try {
+        const body = await request.json();
+        const { site_key, page_url, author_name, comment_content, parent_id, website, form_token, captcha_token, notify_email } = body;
+
+        // Validation
+        const errors = [];
+
+        if (!page_url) {
+            errors.push('page_url is required');
+        } else if (!isValidUrl(page_url)) {
+            errors.push('Invalid page_url format');
+        }
+
+        if (!author_name) {
+            errors.push('author_name is required');
+        } else if (typeof author_name !== 'string' || author_name.trim().length === 0) {
+            errors.push('author_name cannot be empty');
+        } else if (author_name.trim().length > 100) {
+            errors.push('author_name must be 100 characters or less');
+        }
+
+        if (!comment_content) {
+            errors.push('comment_content is required');
+        } else if (typeof comment_content !== 'string' || comment_content.trim().length === 0) {
+            errors.push('comment_content cannot be empty');
+        } else if (comment_content.trim().length > 1000) {
+            errors.push('comment_content must be 1000 characters or less');
+        }
+
+        const hasParent = parent_id !== undefined && parent_id !== null && parent_id !== '';
+        if (hasParent && !/^\d+$/.test(String(parent_id))) {
+            errors.push('parent_id must be a comment ID');
+        }
+
+        const notifyEmail = typeof notify_email === 'string' ? notify_email.trim() : notify_email;
+        if (notifyEmail && (typeof notifyEmail !== 'string' || notifyEmail.length > 254 || !EMAIL_PATTERN.test(notifyEmail))) {
+            errors.push('notify_email must be an email address');
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Sanitize inputs
+        // Everything is stored as typed and escaped when it's rendered; the page URL is
+        // normalized so every variant of a page's address shares one thread
+        const pageUrl = await resolvePageUrl(request, env, ctx, page_url);
+        const authorName = author_name.trim();
+        const content = comment_content.trim();
+
+        const { site, error: siteError } = await authorizeSite(request, env, ctx, site_key, pageUrl);
+        if (siteError) {
+            return siteError;
+        }
+
+        const retryAfter = await checkRateLimits(env, request.headers.get('CF-Connecting-IP'), pageUrl);
+        if (retryAfter > 0) {
+            return new Response(
+                JSON.stringify({
+                    error: 'Too many comments. Please wait before posting again.',
+                    retry_after: retryAfter
+                }),
+                {
+                    status: 429,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Retry-After': String(retryAfter),
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const captcha = getCaptchaProvider(env);
+        if (captcha && !(await captcha.verify(env, captcha_token, request.headers.get('CF-Connecting-IP')))) {
+            return new Response(
+                JSON.stringify({ error: 'CAPTCHA verification failed. Please try again.' }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Replies must point at an approved comment on the same page
+        let parentId = null;
+        if (hasParent) {
+            const parent = await env.DB.prepare(`
+                SELECT id FROM comments
+                WHERE id = ? AND page_url = ? AND status = 'approved'
+            `).bind(parent_id, pageUrl).first();
+
+            if (!parent) {
+                return new Response(
+                    JSON.stringify({ error: 'Parent comment not found' }),
+                    {
+                        status: 400,
+                        headers: {
+                            'Content-Type': 'application/json',
+                            ...corsHeaders()
+                        }
+                    }
+                );
+            }
+
+            parentId = parent.id;
+        }
+
+        const verdict = await runSpamFilters(env, {
+            pageUrl,
+            authorName,
+            content,
+            honeypot: website,
+            formToken: form_token
+        });
+
+        if (verdict?.action === 'reject') {
+            return new Response(
+                JSON.stringify({ error: 'Your comment was rejected by the spam filter.' }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // The edit token goes back to the poster once; only its hash is kept
+        const editWindow = getEditWindow(env);
+        const editToken = editWindow > 0 ? randomToken(24) : null;
+
+        // Insert comment
+        const result = await env.DB.prepare(`
+            INSERT INTO comments (site_id, page_url, author_name, comment_content, status, parent_id, flagged_by, flag_reason, edit_token_hash)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)
+        `).bind(
+            site?.id ?? null,
+            pageUrl,
+            authorName,
+            content,
+            verdict ? verdict.action : getInitialStatus(env),
+            parentId,
+            verdict?.filter ?? null,
+            verdict?.reason ?? null,
+            editToken ? await hashToken(editToken) : null
+        ).run();
+
+        if (!result.success) {
+            throw new Error('Failed to insert comment');
+        }
+
+        // Retrieve the created comment
+        const createdComment = await env.DB.prepare(`
+            SELECT id, parent_id, author_name, comment_content, created_at, edited_at, page_url, status
+            FROM comments
+            WHERE id = ?
+        `).bind(result.meta.last_row_id).first();
+
+        if (createdComment.status === 'approved') {
+            // Old events are pruned as new ones come in
+            const [, event] = await env.DB.batch([
+                env.DB.prepare(`
+                    DELETE FROM comment_events WHERE created_at < datetime('now', ?)
+                `).bind(COMMENT_EVENT_RETENTION),
+                commentEventStatement(env, pageUrl, createdComment.id, 'added')
+            ]);
+            await purgeCommentsCache(request, [pageUrl]);
+            await broadcastCommentEvents(env, pageUrl, event.meta.last_row_id);
+        }
+
+        // Reply notifications are only offered while email is set up
+        if (notifyEmail && getEmailProvider(env)) {
+            await env.DB.prepare(`
+                INSERT INTO reply_subscriptions (comment_id, email, token) VALUES (?, ?, ?)
+            `).bind(createdComment.id, notifyEmail, randomToken(24)).run();
+        }
+
+        if (createdComment.status !== 'spam') {
+            ctx.waitUntil(sendCommentNotifications(env, new URL(request.url).origin, 'comment.created', {
+                ...createdComment,
+                site_id: site?.id ?? null
+            }));
+        }
+
+        // Don't tell spammers they were caught; to the poster it looks like any held comment
+        if (createdComment.status === 'spam') {
+            createdComment.status = 'pending';
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                comment: withCommentHtml(createdComment),
+                ...(editToken ? {
+                    edit_token: editToken,
+                    edit_expires_at: getEditExpiry(createdComment, editWindow)
+                } : {})
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to create comment' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Issue a form token for the spam filter's time-to-submit check
+async function getFormToken(request, env) {
+    return new Response(
+        JSON.stringify({
+            token: env.ADMIN_SECRET_KEY ? await createFormToken(env) : null
+        }),
+        {
+            headers: {
+                'Content-Type': 'application/json',
+                'Cache-Control': 'no-store',
+                ...corsHeaders()
+            }
+        }
+    );
+}
+
+// Render comment markdown for the widget's preview tab
+async function previewComment(request, env) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (_) {
+        body = {};
+    }
+    const { comment_content } = body;
+
+    if (typeof comment_content !== 'string' || comment_content.trim().length > 1000) {
+        return new Response(
+            JSON.stringify({ error: 'comment_content must be a string of 1000 characters or less' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    return new Response(
+        JSON.stringify({
+            comment_html: renderMarkdown(comment_content.trim())
+        }),
+        {
+            headers: {
+                'Content-Type': 'application/json',
+                ...corsHeaders()
+            }
+        }
+    );
+}
+
+// Tell the widget which CAPTCHA to render, if any
+async function getCaptchaConfig(request, env) {
+    try {
+        return new Response(
+            JSON.stringify({
+                captcha: getCaptchaWidgetConfig(env)
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('CAPTCHA configuration error:', error);
+        return new Response(
+            JSON.stringify({ error: 'CAPTCHA is misconfigured' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Edit a comment (its author, with the edit token, while the edit window is open)
+async function editComment(request, env, commentId) {
+    let body;
+    try {
+        body = await request.json();
+    } catch (_) {
+        body = {};
+    }
+    const { comment_content } = body;
+
+    let validationError = null;
+    if (!comment_content) {
+        validationError = 'comment_content is required';
+    } else if (typeof comment_content !== 'string' || comment_content.trim().length === 0) {
+        validationError = 'comment_content cannot be empty';
+    } else if (comment_content.trim().length > 1000) {
+        validationError = 'comment_content must be 1000 characters or less';
+    }
+
+    if (validationError) {
+        return new Response(
+            JSON.stringify({ error: validationError }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const { comment, error: authError } = await authorizeCommentAuthor(request, env, commentId);
+        if (authError) {
+            return authError;
+        }
+
+        const content = comment_content.trim();
+        const verdict = await runSpamFilters(env, {
+            pageUrl: comment.page_url,
+            authorName: comment.author_name,
+            content
+        }, EDIT_SPAM_FILTERS);
+
+        if (verdict?.action === 'reject') {
+            return new Response(
+                JSON.stringify({ error: 'Your comment was rejected by the spam filter.' }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // A flagged edit is held like a flagged new comment would be, and with pre-moderation
+        // an approved comment goes back for approval rather than changing unseen
+        let status = comment.status;
+        if (verdict && status !== 'spam') {
+            status = verdict.action;
+        } else if (status === 'approved') {
+            status = getInitialStatus(env);
+        }
+
+        const visible = comment.status === 'approved';
+        const [, result, event] = await env.DB.batch([
+            revisionStatement(env, COMMENT_AUTHOR_ACTOR, 'edit', comment.id),
+            env.DB.prepare(`
+                UPDATE comments
+                SET comment_content = ?, edited_at = CURRENT_TIMESTAMP, status = ?,
+                    flagged_by = COALESCE(?, flagged_by), flag_reason = COALESCE(?, flag_reason)
+                WHERE id = ?
+            `).bind(content, status, verdict?.filter ?? null, verdict?.reason ?? null, comment.id),
+            ...(visible ? [commentEventStatement(env, comment.page_url, comment.id, status === 'approved' ? 'edited' : 'deleted')] : [])
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to edit comment');
+        }
+
+        if (visible) {
+            await purgeCommentsCache(request, [comment.page_url]);
+            await broadcastCommentEvents(env, comment.page_url, event.meta.last_row_id);
+        }
+
+        const editedComment = await env.DB.prepare(`
+            SELECT id, parent_id, author_name, comment_content, created_at, edited_at, page_url, status
+            FROM comments
+            WHERE id = ?
+        `).bind(comment.id).first();
+
+        if (editedComment.status === 'spam') {
+            editedComment.status = 'pending';
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                comment: withCommentHtml(editedComment),
+                edit_expires_at: getEditExpiry(editedComment, getEditWindow(env))
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to edit comment' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Delete a comment (moderators and owners, or its author with the edit token while the edit window is open)
+async function deleteComment(request, env, commentId) {
+    const byAuthor = request.headers.has('X-Edit-Token');
+    let session = COMMENT_AUTHOR_ACTOR;
+    if (!byAuthor) {
+        const { session: adminSession, error: authError } = await authorizeAdmin(request, env, 'moderator');
+        if (authError) {
+            return authError;
+        }
+        session = adminSession;
+    }
+
+    if (!commentId || !/^\d+$/.test(commentId)) {
+        return new Response(
+            JSON.stringify({ error: 'Invalid comment ID' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        if (byAuthor) {
+            const { error: authorError } = await authorizeCommentAuthor(request, env, commentId);
+            if (authorError) {
+                return authorError;
+            }
+        }
+
+        // Check if comment exists; one already in the trash counts as gone
+        const existingComment = await env.DB.prepare(`
+            SELECT id, author_name, comment_content, page_url, status FROM comments WHERE id = ? AND status != 'deleted'
+        `).bind(commentId).first();
+
+        if (!existingComment) {
+            return new Response(
+                JSON.stringify({ error: 'Comment not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Move the comment to the trash. Its revision keeps the status to restore, and the audit log
+        // keeps a copy of it for after the trash is emptied.
+        const visible = existingComment.status === 'approved';
+        const [, , result, event] = await env.DB.batch([
+            revisionStatement(env, session, 'delete', existingComment.id),
+            auditStatement(env, session, 'delete', existingComment.id, {
+                author_name: existingComment.author_name,
+                comment_content: existingComment.comment_content,
+                page_url: existingComment.page_url,
+                status: existingComment.status
+            }),
+            env.DB.prepare(`
+                UPDATE comments SET status = 'deleted', deleted_at = CURRENT_TIMESTAMP WHERE id = ?
+            `).bind(commentId),
+            ...(visible ? [commentEventStatement(env, existingComment.page_url, existingComment.id, 'deleted')] : [])
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to delete comment');
+        }
+
+        await purgeCommentsCache(request, [existingComment.page_url]);
+        if (event) {
+            await broadcastCommentEvents(env, existingComment.page_url, event.meta.last_row_id);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Comment deleted successfully'
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to delete comment' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Take a comment out of the trash, back to the status it had when it was deleted (moderators and owners)
+async function undeleteComment(request, env, commentId) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const comment = await env.DB.prepare(`
+            SELECT c.id, c.page_url, (
+                SELECT r.status FROM comment_revisions r
+                WHERE r.comment_id = c.id AND r.action = 'delete'
+                ORDER BY r.id DESC
+                LIMIT 1
+            ) AS previous_status
+            FROM comments c
+            WHERE c.id = ? AND c.status = 'deleted'
+        `).bind(commentId).first();
+
+        if (!comment) {
+            return new Response(
+                JSON.stringify({ error: 'Comment not found in the trash' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Without a revision to say otherwise, the comment goes back for review
+        const status = comment.previous_status || 'pending';
+        const visible = status === 'approved';
+        const [, result, , event] = await env.DB.batch([
+            revisionStatement(env, session, 'undelete', comment.id),
+            env.DB.prepare(`
+                UPDATE comments SET status = ?, deleted_at = NULL WHERE id = ?
+            `).bind(status, comment.id),
+            auditStatement(env, session, 'undelete', comment.id, { to: status }),
+            ...(visible ? [commentEventStatement(env, comment.page_url, comment.id, 'added')] : [])
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to restore comment');
+        }
+
+        if (visible) {
+            await purgeCommentsCache(request, [comment.page_url]);
+            await broadcastCommentEvents(env, comment.page_url, event.meta.last_row_id);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                status
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to restore comment' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Days deleted comments stay in the trash before the scheduled purge removes them for good
+const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+// Audit log actor for the scheduled trash purge
+const TRASH_RETENTION_ACTOR = { username: '(retention)' };
+
+function getTrashRetentionDays(env) {
+    const days = parseInt(env.TRASH_RETENTION_DAYS, 10);
+    return Number.isInteger(days) && days >= 0 ? days : DEFAULT_TRASH_RETENTION_DAYS;
+}
+
+// Permanently delete comments that have been in the trash for at least this many days, returning how many went.
+// Replies point at their parent, so a trashed comment stays while any reply below it is staying.
+async function purgeTrash(env, days) {
+    const result = await env.DB.prepare(`
+        WITH RECURSIVE kept(id) AS (
+            SELECT parent_id FROM comments
+            WHERE parent_id IS NOT NULL AND NOT (status = 'deleted' AND deleted_at <= datetime('now', ?))
+            UNION
+            SELECT c.parent_id FROM comments c
+            JOIN kept k ON c.id = k.id
+            WHERE c.parent_id IS NOT NULL
+        )
+        DELETE FROM comments
+        WHERE status = 'deleted' AND deleted_at <= datetime('now', ?) AND id NOT IN (SELECT id FROM kept)
+    `).bind(`-${days} days`, `-${days} days`).run();
+
+    return result.meta.changes;
+}
+
+// Permanently delete everything in the trash (owners only)
+async function emptyTrash(request, env) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const purged = await purgeTrash(env, 0);
+        if (purged > 0) {
+            await auditStatement(env, session, 'empty_trash', null, { purged }).run();
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                purged
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to empty the trash' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Run by the cron trigger in wrangler.toml: purge comments that have outlived TRASH_RETENTION_DAYS in the trash
+async function purgeExpiredTrash(env) {
+    const days = getTrashRetentionDays(env);
+    if (days === 0) {
+        return;
+    }
+
+    const purged = await purgeTrash(env, days);
+    if (purged > 0) {
+        await auditStatement(env, TRASH_RETENTION_ACTOR, 'purge_trash', null, { purged, retention_days: days }).run();
+    }
+}
+
+// Readers are told apart by a random voter ID their browser keeps, so reacting needs no account
+const VOTER_ID_PATTERN = /^[A-Za-z0-9_-]{16,128}$/;
+
+// Add one of the reader's reactions to an approved comment, or take it back if they've already left it
+async function toggleReaction(request, env, ctx, commentId) {
+    try {
+        const body = await request.json();
+        const { site_key, reaction, voter_id } = body;
+
+        const errors = [];
+        if (!REACTIONS.includes(reaction)) {
+            errors.push(`reaction must be one of: ${REACTIONS.join(', ')}`);
+        }
+        if (typeof voter_id !== 'string' || !VOTER_ID_PATTERN.test(voter_id)) {
+            errors.push('voter_id must be 16 to 128 letters, digits, - or _');
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const comment = await env.DB.prepare(`
+            SELECT id, page_url FROM comments WHERE id = ? AND status = 'approved'
+        `).bind(commentId).first();
+
+        if (!comment) {
+            return new Response(
+                JSON.stringify({ error: 'Comment not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const { error: siteError } = await authorizeSite(request, env, ctx, site_key, comment.page_url);
+        if (siteError) {
+            return siteError;
+        }
+
+        const retryAfter = await checkRateLimits(env, request.headers.get('CF-Connecting-IP'), null, REACTION_RATE_LIMITS);
+        if (retryAfter > 0) {
+            return new Response(
+                JSON.stringify({
+                    error: 'Too many reactions. Please wait a moment and try again.',
+                    retry_after: retryAfter
+                }),
+                {
+                    status: 429,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Retry-After': String(retryAfter),
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const voter = await hashToken(voter_id);
+        const removed = await env.DB.prepare(`
+            DELETE FROM comment_reactions WHERE comment_id = ? AND reaction = ? AND voter = ?
+        `).bind(comment.id, reaction, voter).run();
+
+        const reacted = removed.meta.changes === 0;
+        if (reacted) {
+            await env.DB.prepare(`
+                INSERT OR IGNORE INTO comment_reactions (comment_id, reaction, voter) VALUES (?, ?, ?)
+            `).bind(comment.id, reaction, voter).run();
+        }
+
+        const counts = await env.DB.prepare(`
+            SELECT ${REACTION_COUNTS_SQL} FROM comments c WHERE c.id = ?
+        `).bind(comment.id).first();
+
+        // Counts reach other readers when they next load the page; reactions aren't pushed live
+        await purgeCommentsCache(request, [comment.page_url]);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                comment_id: comment.id,
+                reaction,
+                reacted,
+                reactions: withReactions(counts).reactions
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to update reaction' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// An approved comment is taken off its page, back to pending, once this many readers have reported it.
+// REPORT_THRESHOLD overrides it and 0 leaves reported comments up until a moderator acts on them.
+const DEFAULT_REPORT_THRESHOLD = 3;
+const MAX_REPORT_REASON_LENGTH = 500;
+
+// Audit log actor and flagged_by value for comments hidden by reader reports
+const READER_REPORTS_ACTOR = { username: '(reports)' };
+
+function getReportThreshold(env) {
+    const threshold = parseInt(env.REPORT_THRESHOLD, 10);
+    return Number.isInteger(threshold) && threshold >= 0 ? threshold : DEFAULT_REPORT_THRESHOLD;
+}
+
+// Report an approved comment to the moderators. Each reader (voter ID) can report a comment once;
+// reporting it again changes nothing.
+async function reportComment(request, env, ctx, commentId) {
+    try {
+        const body = await request.json();
+        const { site_key, reason, voter_id } = body;
+
+        const errors = [];
+        if (typeof reason !== 'string' || reason.trim().length === 0) {
+            errors.push('reason is required');
+        } else if (reason.trim().length > MAX_REPORT_REASON_LENGTH) {
+            errors.push(`reason must be ${MAX_REPORT_REASON_LENGTH} characters or less`);
+        }
+        if (typeof voter_id !== 'string' || !VOTER_ID_PATTERN.test(voter_id)) {
+            errors.push('voter_id must be 16 to 128 letters, digits, - or _');
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const comment = await env.DB.prepare(`
+            SELECT id, page_url, flagged_by FROM comments WHERE id = ? AND status = 'approved'
+        `).bind(commentId).first();
+
+        if (!comment) {
+            return new Response(
+                JSON.stringify({ error: 'Comment not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const { error: siteError } = await authorizeSite(request, env, ctx, site_key, comment.page_url);
+        if (siteError) {
+            return siteError;
+        }
+
+        const retryAfter = await checkRateLimits(env, request.headers.get('CF-Connecting-IP'), null, REPORT_RATE_LIMITS);
+        if (retryAfter > 0) {
+            return new Response(
+                JSON.stringify({
+                    error: 'Too many reports. Please wait before reporting another comment.',
+                    retry_after: retryAfter
+                }),
+                {
+                    status: 429,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'Retry-After': String(retryAfter),
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const [, reports] = await env.DB.batch([
+            env.DB.prepare(`
+                INSERT OR IGNORE INTO comment_reports (comment_id, reason, reporter) VALUES (?, ?, ?)
+            `).bind(comment.id, reason.trim(), await hashToken(voter_id)),
+            env.DB.prepare(`
+                SELECT COUNT(*) AS count FROM comment_reports WHERE comment_id = ? AND dismissed_at IS NULL
+            `).bind(comment.id)
+        ]);
+
+        // Enough readers agree: hide the comment until a moderator looks at it. One the reports hid before
+        // and a moderator approved again stays up; further reports only add to the moderators' list.
+        const reportCount = reports.results[0].count;
+        const threshold = getReportThreshold(env);
+        if (threshold > 0 && reportCount >= threshold && comment.flagged_by !== READER_REPORTS_ACTOR.username) {
+            const [, hidden, , event] = await env.DB.batch([
+                revisionStatement(env, READER_REPORTS_ACTOR, 'hide', comment.id),
+                env.DB.prepare(`
+                    UPDATE comments SET status = 'pending', flagged_by = ?, flag_reason = ?
+                    WHERE id = ? AND status = 'approved'
+                `).bind(READER_REPORTS_ACTOR.username, `Reported by ${reportCount} readers`, comment.id),
+                auditStatement(env, READER_REPORTS_ACTOR, 'hide', comment.id, { reports: reportCount }),
+                commentEventStatement(env, comment.page_url, comment.id, 'deleted')
+            ]);
+
+            if (!hidden.success) {
+                throw new Error('Failed to hide comment');
+            }
+
+            await purgeCommentsCache(request, [comment.page_url]);
+            await broadcastCommentEvents(env, comment.page_url, event.meta.last_row_id);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Thanks for letting us know. A moderator will take a look.'
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to report comment' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Dismiss a comment's open reports (moderators and owners). A comment the reports hid is put back on its page.
+async function dismissReports(request, env, commentId) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const comment = await env.DB.prepare(`
+            SELECT c.id, c.page_url, c.status, c.flagged_by,
+                   (SELECT COUNT(*) FROM comment_reports r WHERE r.comment_id = c.id AND r.dismissed_at IS NULL) AS report_count
+            FROM comments c
+            WHERE c.id = ?
+        `).bind(commentId).first();
+
+        if (!comment) {
+            return new Response(
+                JSON.stringify({ error: 'Comment not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const restore = comment.status === 'pending' && comment.flagged_by === READER_REPORTS_ACTOR.username;
+        const results = await env.DB.batch([
+            env.DB.prepare(`
+                UPDATE comment_reports SET dismissed_at = CURRENT_TIMESTAMP WHERE comment_id = ? AND dismissed_at IS NULL
+            `).bind(comment.id),
+            auditStatement(env, session, 'dismiss_reports', comment.id, { reports: comment.report_count, restored: restore }),
+            ...(restore ? [
+                revisionStatement(env, session, 'dismiss_reports', comment.id),
+                env.DB.prepare(`
+                    UPDATE comments SET status = 'approved', flagged_by = NULL, flag_reason = NULL WHERE id = ?
+                `).bind(comment.id),
+                commentEventStatement(env, comment.page_url, comment.id, 'added')
+            ] : [])
+        ]);
+
+        if (!results[0].success) {
+            throw new Error('Failed to dismiss reports');
+        }
+
+        if (restore) {
+            await purgeCommentsCache(request, [comment.page_url]);
+            await broadcastCommentEvents(env, comment.page_url, results[results.length - 1].meta.last_row_id);
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                dismissed: comment.report_count,
+                status: restore ? 'approved' : comment.status
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to dismiss reports' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Approve, reject or mark comments as spam (moderators and owners)
+async function moderateComments(request, env, ctx) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const body = await request.json();
+        const { ids, action } = body;
+        const status = MODERATION_ACTIONS[action];
+
+        const errors = [];
+
+        if (!status) {
+            errors.push(`action must be one of: ${Object.keys(MODERATION_ACTIONS).join(', ')}`);
+        }
+
+        if (!Array.isArray(ids) || ids.length === 0) {
+            errors.push('ids must be a non-empty array');
+        } else if (ids.length > 100) {
+            errors.push('At most 100 comments can be moderated at once');
+        } else if (!ids.every(id => /^\d+$/.test(String(id)))) {
+            errors.push('ids must be comment IDs');
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Comments in the trash are left alone; they have to be restored first
+        const placeholders = ids.map(() => '?').join(', ');
+        const existing = await env.DB.prepare(`
+            SELECT id, parent_id, site_id, page_url, author_name, comment_content, created_at, status
+            FROM comments WHERE id IN (${placeholders}) AND status != 'deleted'
+        `).bind(...ids.map(Number)).all();
+
+        // Comments that appear or disappear from their page
+        const shown = (existing.results || []).filter(comment => (comment.status === 'approved') !== (status === 'approved'));
+        const changed = (existing.results || []).filter(comment => comment.status !== status);
+
+        // Keep the old versions, then update the comments and log each one, in a single batch
+        const results = await env.DB.batch([
+            ...changed.map(comment => revisionStatement(env, session, action, comment.id)),
+            env.DB.prepare(`
+                UPDATE comments SET status = ? WHERE id IN (${placeholders}) AND status != 'deleted'
+            `).bind(status, ...ids.map(Number)),
+            ...(existing.results || []).map(comment => auditStatement(env, session, action, comment.id, {
+                from: comment.status,
+                to: status
+            })),
+            ...shown.map(comment => commentEventStatement(env, comment.page_url, comment.id,
+                status === 'approved' ? 'added' : 'deleted'))
+        ]);
+        const [result, ...logged] = results.slice(changed.length);
+
+        if (!result.success) {
+            throw new Error('Failed to update comments');
+        }
+
+        await purgeCommentsCache(request, (existing.results || []).map(comment => comment.page_url));
+
+        // Broadcast each page's events, starting from its first
+        const firstEvents = new Map();
+        logged.slice((existing.results || []).length).forEach((event, i) => {
+            if (!firstEvents.has(shown[i].page_url)) {
+                firstEvents.set(shown[i].page_url, event.meta.last_row_id);
+            }
+        });
+        for (const [pageUrl, firstEventId] of firstEvents) {
+            await broadcastCommentEvents(env, pageUrl, firstEventId);
+        }
+
+        // Approving a held comment publishes it, which is when webhooks and reply emails go out
+        if (status === 'approved') {
+            const origin = new URL(request.url).origin;
+            ctx.waitUntil(Promise.all(shown.map(comment => sendCommentNotifications(env, origin, 'comment.approved', {
+                ...comment,
+                status
+            }))));
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                status,
+                updated: result.meta.changes
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to moderate comments' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Admin filters on top of status and site: one page, one author (in any case), a range of UTC dates,
+// both days included, and a full-text search of authors and content through the comments_fts index.
+// Used by the admin comment list and bulk operations.
+const COMMENT_FILTER_SQL = `
+    (? IS NULL OR c.page_url = ?)
+    AND (? IS NULL OR c.author_name = ? COLLATE NOCASE)
+    AND (? IS NULL OR c.created_at >= ?)
+    AND (? IS NULL OR c.created_at < date(?, '+1 day'))
+    AND (? IS NULL OR c.id IN (SELECT rowid FROM comments_fts WHERE comments_fts MATCH ?))
+`;
+
+function commentFilterParams(filter) {
+    return [
+        filter.pageUrl, filter.pageUrl,
+        filter.author, filter.author,
+        filter.from, filter.from,
+        filter.to, filter.to,
+        filter.search, filter.search
+    ];
+}
+
+const MAX_SEARCH_LENGTH = 200;
+
+// Turn a search as typed into an FTS5 query that finds comments containing every word, each as a
+// prefix ("moder" finds "moderation"). Words are quoted, so FTS5 syntax in the search is taken literally.
+function toSearchQuery(q) {
+    const words = String(q).match(/[\p{L}\p{N}\p{M}]+/gu) || [];
+    return words.length > 0 ? words.map(word => `"${word}"*`).join(' ') : null;
+}
+
+function isValidDate(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(value)) &&
+        new Date(value).toISOString().startsWith(value);
+}
+
+// Check a filter's fields (page_url, author, status, site_id, from, to and q, all optional) and put
+// them in the form they are queried in. Returns { filter } or { error } with the message to send.
+async function parseCommentFilter(request, env, ctx, { page_url, author, status, site_id, from, to, q }) {
+    if (status && !COMMENT_STATUSES.includes(status)) {
+        return { error: 'Invalid status' };
+    }
+    if (site_id && !/^\d+$/.test(String(site_id))) {
+        return { error: 'Invalid site ID' };
+    }
+    if (page_url && !isValidUrl(page_url)) {
+        return { error: 'page_url must be a valid http(s) URL' };
+    }
+    if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+        return { error: 'from and to must be dates (YYYY-MM-DD)' };
+    }
+    if (q && String(q).length > MAX_SEARCH_LENGTH) {
+        return { error: `q must be at most ${MAX_SEARCH_LENGTH} characters` };
+    }
+    const search = q && String(q).trim() ? toSearchQuery(q) : null;
+    if (q && String(q).trim() && !search) {
+        return { error: 'q must contain a word to search for' };
+    }
+
+    return {
+        filter: {
+            pageUrl: page_url ? await resolvePageUrl(request, env, ctx, page_url) : null,
+            author: author && String(author).trim() ? String(author).trim() : null,
+            status: status || null,
+            siteId: site_id ? Number(site_id) : null,
+            from: from || null,
+            to: to || null,
+            search
+        }
+    };
+}
+
+// The comments a bulk operation applies to: a list of IDs or a filter, never anything in the trash
+const BULK_SELECTION_SQL = `
+    SELECT c.id FROM comments c
+    WHERE c.status != 'deleted'
+      AND (? IS NULL OR c.id IN (SELECT value FROM json_each(?)))
+      AND (? IS NULL OR c.status = ?)
+      AND (? IS NULL OR c.site_id = ?)
+      AND ${COMMENT_FILTER_SQL}
+`;
+
+// Moved comments take their replies along, so a thread is never split between two pages
+const BULK_MOVE_SELECTION_SQL = `
+    WITH RECURSIVE moved(id) AS (
+        ${BULK_SELECTION_SQL}
+        UNION
+        SELECT r.id FROM comments r
+        JOIN moved m ON r.parent_id = m.id
+    )
+    SELECT id FROM moved
+`;
+
+const BULK_ACTIONS = [...Object.keys(MODERATION_ACTIONS), 'delete', 'move'];
+const BULK_FILTER_FIELDS = ['page_url', 'author', 'status', 'site_id', 'from', 'to', 'q'];
+const MAX_BULK_COMMENTS = 1000;
+
+// Approve, reject, mark as spam, delete or move many comments at once (moderators and owners).
+// The comments are given as a list of IDs or a filter, and every change is made in a single batch;
+// with dry_run nothing changes, and only the number of comments it would apply to comes back.
+async function bulkUpdateComments(request, env, ctx) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const body = await request.json();
+        const { action, ids, filter, to_page_url, dry_run } = body;
+
+        const errors = [];
+
+        if (!BULK_ACTIONS.includes(action)) {
+            errors.push(`action must be one of: ${BULK_ACTIONS.join(', ')}`);
+        }
+
+        if ((ids === undefined) === (filter === undefined)) {
+            errors.push('Send either ids or filter');
+        } else if (ids !== undefined && (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => /^\d+$/.test(String(id))))) {
+            errors.push('ids must be a non-empty array of comment IDs');
+        } else if (filter !== undefined && (!filter || typeof filter !== 'object' || !BULK_FILTER_FIELDS.some(name => filter[name]))) {
+            errors.push(`filter must set at least one of: ${BULK_FILTER_FIELDS.join(', ')}`);
+        }
+
+        if (action === 'move' && (!to_page_url || !isValidUrl(to_page_url))) {
+            errors.push('to_page_url must be a valid http(s) URL');
+        }
+
+        let parsed = { filter: {} };
+        if (errors.length === 0 && filter) {
+            parsed = await parseCommentFilter(request, env, ctx, filter);
+            if (parsed.error) {
+                errors.push(parsed.error);
+            }
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Every statement picks the comments out again with the same subquery, so any number can be
+        // changed without binding their IDs one by one
+        const selected = parsed.filter;
+        const idList = ids ? JSON.stringify(ids.map(Number)) : null;
+        const matched = `id IN (${action === 'move' ? BULK_MOVE_SELECTION_SQL : BULK_SELECTION_SQL})`;
+        const params = [
+            idList, idList,
+            selected.status ?? null, selected.status ?? null,
+            selected.siteId ?? null, selected.siteId ?? null,
+            ...commentFilterParams(selected)
+        ];
+
+        const counted = await env.DB.prepare(`
+            SELECT COUNT(*) AS count FROM comments WHERE ${matched}
+        `).bind(...params).first();
+        const count = counted?.count || 0;
+
+        if (dry_run) {
+            return new Response(
+                JSON.stringify({
+                    success: true,
+                    dry_run: true,
+                    action,
+                    matched: count
+                }),
+                {
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        if (count > MAX_BULK_COMMENTS) {
+            return new Response(
+                JSON.stringify({ error: `This matches ${count} comments; at most ${MAX_BULK_COMMENTS} can be changed at once` }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const pages = await env.DB.prepare(`
+            SELECT DISTINCT page_url FROM comments WHERE ${matched}
+        `).bind(...params).all();
+        const pageUrls = (pages.results || []).map(page => page.page_url);
+
+        // Held comments that an approval publishes, for their notifications
+        const published = action === 'approve'
+            ? (await env.DB.prepare(`
+                SELECT id, parent_id, site_id, page_url, author_name, comment_content, created_at, status
+                FROM comments WHERE ${matched} AND status != 'approved'
+            `).bind(...params).all()).results || []
+            : [];
+
+        // The change itself comes last in each batch: once it is made, the subquery no longer finds
+        // the same comments. Events go in by ID, so each page's come out in the order they happened.
+        let statements;
+        let eventCount;
+        const status = MODERATION_ACTIONS[action];
+        if (status) {
+            statements = [
+                env.DB.prepare(`
+                    INSERT INTO comment_revisions (comment_id, author_name, comment_content, status, editor, action)
+                    SELECT id, author_name, comment_content, status, ?, ? FROM comments WHERE ${matched} AND status != ?
+                `).bind(session.username, action, ...params, status),
+                env.DB.prepare(`
+                    INSERT INTO audit_log (actor, action, comment_id, details)
+                    SELECT ?, ?, id, json_object('from', status, 'to', ?) FROM comments WHERE ${matched} AND status != ?
+                `).bind(session.username, action, status, ...params, status),
+                env.DB.prepare(`
+                    INSERT INTO comment_events (page_url, comment_id, type)
+                    SELECT page_url, id, ? FROM comments WHERE ${matched} AND (status = 'approved') != (? = 'approved')
+                    ORDER BY id
+                `).bind(status === 'approved' ? 'added' : 'deleted', ...params, status),
+                env.DB.prepare(`
+                    UPDATE comments SET status = ? WHERE ${matched} AND status != ?
+                `).bind(status, ...params, status)
+            ];
+            eventCount = 1;
+        } else if (action === 'delete') {
+            statements = [
+                env.DB.prepare(`
+                    INSERT INTO comment_revisions (comment_id, author_name, comment_content, status, editor, action)
+                    SELECT id, author_name, comment_content, status, ?, 'delete' FROM comments WHERE ${matched}
+                `).bind(session.username, ...params),
+                env.DB.prepare(`
+                    INSERT INTO audit_log (actor, action, comment_id, details)
+                    SELECT ?, 'delete', id, json_object('author_name', author_name, 'comment_content', comment_content,
+                                                        'page_url', page_url, 'status', status)
+                    FROM comments WHERE ${matched}
+                `).bind(session.username, ...params),
+                env.DB.prepare(`
+                    INSERT INTO comment_events (page_url, comment_id, type)
+                    SELECT page_url, id, 'deleted' FROM comments WHERE ${matched} AND status = 'approved'
+                    ORDER BY id
+                `).bind(...params),
+                env.DB.prepare(`
+                    UPDATE comments SET status = 'deleted', deleted_at = CURRENT_TIMESTAMP WHERE ${matched}
+                `).bind(...params)
+            ];
+            eventCount = 1;
+        } else {
+            // A moved reply whose parent stays behind becomes a top-level comment on its new page
+            const toUrl = await resolvePageUrl(request, env, ctx, to_page_url);
+            const site = await findSiteForPage(env, toUrl);
+            pageUrls.push(toUrl);
+            statements = [
+                env.DB.prepare(`
+                    INSERT INTO audit_log (actor, action, comment_id, details)
+                    SELECT ?, 'move', id, json_object('from', page_url, 'to', ?) FROM comments WHERE ${matched} AND page_url != ?
+                `).bind(session.username, toUrl, ...params, toUrl),
+                env.DB.prepare(`
+                    INSERT INTO comment_events (page_url, comment_id, type)
+                    SELECT page_url, id, 'deleted' FROM comments WHERE ${matched} AND page_url != ? AND status = 'approved'
+                    ORDER BY id
+                `).bind(...params, toUrl),
+                env.DB.prepare(`
+                    INSERT INTO comment_events (page_url, comment_id, type)
+                    SELECT ?, id, 'added' FROM comments WHERE ${matched} AND page_url != ? AND status = 'approved'
+                    ORDER BY id
+                `).bind(toUrl, ...params, toUrl),
+                env.DB.prepare(`
+                    UPDATE comments SET page_url = ?, site_id = COALESCE(?, site_id) WHERE ${matched} AND page_url != ?
+                `).bind(toUrl, site?.id ?? null, ...params, toUrl),
+                env.DB.prepare(`
+                    UPDATE comments SET parent_id = NULL
+                    WHERE page_url = ? AND parent_id IN (SELECT id FROM comments WHERE page_url != ?)
+                `).bind(toUrl, toUrl)
+            ];
+            eventCount = 2;
+        }
+
+        const results = await env.DB.batch(statements);
+        const updateIndex = statements.length - (action === 'move' ? 2 : 1);
+        const result = results[updateIndex];
+
+        if (!result.success) {
+            throw new Error('Failed to update comments');
+        }
+
+        await purgeCommentsCache(request, pageUrls);
+
+        // Broadcast each page's events, starting from its first
+        const inserted = results.slice(updateIndex - eventCount, updateIndex).filter(events => events.meta.changes > 0);
+        if (inserted.length > 0) {
+            const firstEvents = await env.DB.prepare(`
+                SELECT page_url, MIN(id) AS first_event_id FROM comment_events
+                WHERE id BETWEEN ? AND ?
+                GROUP BY page_url
+            `).bind(
+                inserted[0].meta.last_row_id - inserted[0].meta.changes + 1,
+                inserted[inserted.length - 1].meta.last_row_id
+            ).all();
+            for (const { page_url, first_event_id } of firstEvents.results || []) {
+                await broadcastCommentEvents(env, page_url, first_event_id);
+            }
+        }
+
+        if (published.length > 0) {
+            const origin = new URL(request.url).origin;
+            ctx.waitUntil(Promise.all(published.map(comment => sendCommentNotifications(env, origin, 'comment.approved', {
+                ...comment,
+                status: 'approved'
+            }))));
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                action,
+                matched: count,
+                updated: result.meta.changes
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to update comments' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// A comment's revisions, newest first, next to the comment as it is now (all admins)
+async function getCommentRevisions(request, env, commentId) {
+    const { error: authError } = await authorizeAdmin(request, env);
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const comment = await env.DB.prepare(`
+            SELECT id, parent_id, author_name, comment_content, created_at, edited_at, page_url, status
+            FROM comments
+            WHERE id = ?
+        `).bind(commentId).first();
+
+        if (!comment) {
+            return new Response(
+                JSON.stringify({ error: 'Comment not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const revisions = await env.DB.prepare(`
+            SELECT id, author_name, comment_content, status, editor, action, created_at
+            FROM comment_revisions
+            WHERE comment_id = ?
+            ORDER BY id DESC
+        `).bind(commentId).all();
+
+        return new Response(
+            JSON.stringify({
+                comment: withCommentHtml(comment),
+                revisions: (revisions.results || []).map(withCommentHtml)
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to fetch revisions' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Put a previous version's name and text back; the status is left as it is (moderators and owners)
+async function restoreCommentRevision(request, env, commentId) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    let body;
+    try {
+        body = await request.json();
+    } catch (_) {
+        body = {};
+    }
+    const { revision_id } = body;
+
+    if (!/^\d+$/.test(String(revision_id ?? ''))) {
+        return new Response(
+            JSON.stringify({ error: 'revision_id must be a revision ID' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const revision = await env.DB.prepare(`
+            SELECT r.id, r.author_name, r.comment_content, c.page_url, c.status
+            FROM comment_revisions r
+            JOIN comments c ON c.id = r.comment_id
+            WHERE r.id = ? AND r.comment_id = ?
+        `).bind(Number(revision_id), commentId).first();
+
+        if (!revision) {
+            return new Response(
+                JSON.stringify({ error: 'Revision not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // A deleted comment has to come out of the trash before its text can change
+        if (revision.status === 'deleted') {
+            return new Response(
+                JSON.stringify({ error: 'Comment is deleted; restore it from the trash first' }),
+                {
+                    status: 409,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const visible = revision.status === 'approved';
+        const [, result, , event] = await env.DB.batch([
+            revisionStatement(env, session, 'restore', commentId),
+            env.DB.prepare(`
+                UPDATE comments
+                SET author_name = ?, comment_content = ?, edited_at = CURRENT_TIMESTAMP
+                WHERE id = ?
+            `).bind(revision.author_name, revision.comment_content, commentId),
+            auditStatement(env, session, 'restore', Number(commentId), { revision_id: revision.id }),
+            ...(visible ? [commentEventStatement(env, revision.page_url, Number(commentId), 'edited')] : [])
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to restore revision');
+        }
+
+        if (visible) {
+            await purgeCommentsCache(request, [revision.page_url]);
+            await broadcastCommentEvents(env, revision.page_url, event.meta.last_row_id);
+        }
+
+        const restored = await env.DB.prepare(`
+            SELECT id, parent_id, author_name, comment_content, created_at, edited_at, page_url, status
+            FROM comments
+            WHERE id = ?
+        `).bind(commentId).first();
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                comment: withCommentHtml(restored)
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to restore revision' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Get all comments for admin interface
+async function getAllComments(request, env, ctx) {
+    const url = new URL(request.url);
+
+    const { error: authError } = await authorizeAdmin(request, env);
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const { filter, error: filterError } = await parseCommentFilter(request, env, ctx, Object.fromEntries(url.searchParams));
+        const status = filter?.status ?? null;
+        const siteId = filter?.siteId ?? null;
+        // Only comments with reports still waiting for a moderator
+        const reported = url.searchParams.get('reported') === 'true' ? 1 : null;
+        const sort = url.searchParams.get('sort') || 'newest';
+        const order = ADMIN_COMMENT_SORTS[sort];
+        const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_ADMIN_PAGE_SIZE);
+        const cursorParam = url.searchParams.get('cursor');
+        const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+
+        let validationError = null;
+        if (filterError) {
+            validationError = filterError;
+        } else if (!Object.hasOwn(ADMIN_COMMENT_SORTS, sort)) {
+            validationError = `sort must be one of: ${Object.keys(ADMIN_COMMENT_SORTS).join(', ')}`;
+        } else if (!limit) {
+            validationError = 'limit must be a positive integer';
+        } else if (cursorParam && (!cursor || (order.sortValue && typeof cursor.sortValue !== 'string'))) {
+            validationError = 'Invalid cursor';
+        }
+
+        if (validationError) {
+            return new Response(
+                JSON.stringify({ error: validationError }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // In the requested order, newest first by default; the cursor points at the last comment of the
+        // previous page. Without a status, everything but the trash is listed. Each comment comes with
+        // its open reports, oldest first.
+        const result = await env.DB.prepare(`
+            SELECT c.id, c.site_id, c.parent_id, c.author_name, c.comment_content, c.created_at, c.edited_at, c.page_url,
+                   c.status, c.flagged_by, c.flag_reason, c.deleted_at,
+                   (
+                       SELECT json_group_array(json_object('id', id, 'reason', reason, 'created_at', created_at)) FROM (
+                           SELECT id, reason, created_at FROM comment_reports
+                           WHERE comment_id = c.id AND dismissed_at IS NULL
+                           ORDER BY id
+                       )
+                   ) AS reports
+            FROM comments c
+            WHERE (? IS NULL AND c.status != 'deleted' OR c.status = ?)
+              AND (? IS NULL OR c.site_id = ?)
+              AND ${COMMENT_FILTER_SQL}
+              AND (? IS NULL OR EXISTS (
+                  SELECT 1 FROM comment_reports r WHERE r.comment_id = c.id AND r.dismissed_at IS NULL
+              ))
+              ${cursor ? `AND ${order.after}` : ''}
+            ORDER BY ${order.orderBy}
+            LIMIT ?
+        `).bind(
+            status, status,
+            siteId, siteId,
+            ...commentFilterParams(filter),
+            reported,
+            ...(cursor ? order.cursorParams(cursor) : []),
+            limit + 1
+        ).all();
+
+        const comments = (result.results || []).slice(0, limit)
+            .map(comment => withCommentHtml({ ...comment, reports: JSON.parse(comment.reports || '[]') }));
+        const hasMore = (result.results || []).length > limit;
+        const lastComment = comments[comments.length - 1];
+
+        // Per-status totals for the moderation queue tabs, under the same filters
+        const counts = await env.DB.prepare(`
+            SELECT c.status, COUNT(*) AS count
+            FROM comments c
+            WHERE (? IS NULL OR c.site_id = ?) AND ${COMMENT_FILTER_SQL}
+            GROUP BY c.status
+        `).bind(siteId, siteId, ...commentFilterParams(filter)).all();
+
+        const statusCounts = Object.fromEntries(COMMENT_STATUSES.map(name => [name, 0]));
+        for (const row of counts.results || []) {
+            statusCounts[row.status] = row.count;
+        }
+
+        // And for the Reported tab, which cuts across statuses
+        const reportedCount = await env.DB.prepare(`
+            SELECT COUNT(DISTINCT r.comment_id) AS count
+            FROM comment_reports r
+            JOIN comments c ON c.id = r.comment_id
+            WHERE r.dismissed_at IS NULL AND c.status != 'deleted' AND (? IS NULL OR c.site_id = ?)
+              AND ${COMMENT_FILTER_SQL}
+        `).bind(siteId, siteId, ...commentFilterParams(filter)).first();
+
+        return new Response(
+            JSON.stringify({
+                comments,
+                count: comments.length,
+                status_counts: statusCounts,
+                reported_count: reportedCount?.count || 0,
+                trash_retention_days: getTrashRetentionDays(env),
+                next_cursor: hasMore ? encodeCursor(lastComment, order.sortValue ? order.sortValue(lastComment) : null) : null
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve comments' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Get the logged-in admin's username and role
+async function getCurrentAdmin(request, env) {
+    const { session, error: authError } = await authorizeAdmin(request, env);
+    if (authError) {
+        return authError;
+    }
+
+    return new Response(
+        JSON.stringify({
+            username: session.username,
+            role: session.role
+        }),
+        {
+            headers: {
+                'Content-Type': 'application/json',
+                ...corsHeaders()
+            }
+        }
+    );
+}
+
+// Browse the audit log, newest first (any admin role)
+async function getAuditLog(request, env) {
+    const url = new URL(request.url);
+
+    const { error: authError } = await authorizeAdmin(request, env);
+    if (authError) {
+        return authError;
+    }
+
+    const actor = url.searchParams.get('actor') || null;
+    const commentId = url.searchParams.get('comment_id') || null;
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_ADMIN_PAGE_SIZE);
+    const cursorParam = url.searchParams.get('cursor');
+    const cursor = cursorParam ? decodeCursor(cursorParam) : null;
+
+    let validationError = null;
+    if (commentId && !/^\d+$/.test(commentId)) {
+        validationError = 'Invalid comment ID';
+    } else if (!limit) {
+        validationError = 'limit must be a positive integer';
+    } else if (cursorParam && !cursor) {
+        validationError = 'Invalid cursor';
+    }
+
+    if (validationError) {
+        return new Response(
+            JSON.stringify({ error: validationError }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const result = await env.DB.prepare(`
+            SELECT id, actor, action, comment_id, details, created_at
+            FROM audit_log
+            WHERE (? IS NULL OR actor = ?)
+              AND (? IS NULL OR comment_id = ?)
+              AND (? IS NULL OR created_at < ? OR (created_at = ? AND id < ?))
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?
+        `).bind(
+            actor, actor,
+            commentId, commentId,
+            cursor?.createdAt ?? null, cursor?.createdAt ?? null, cursor?.createdAt ?? null, cursor?.id ?? null,
+            limit + 1
+        ).all();
+
+        const entries = (result.results || []).slice(0, limit).map(entry => ({
+            ...entry,
+            details: entry.details ? JSON.parse(entry.details) : null
+        }));
+        const hasMore = (result.results || []).length > limit;
+
+        return new Response(
+            JSON.stringify({
+                entries,
+                count: entries.length,
+                next_cursor: hasMore ? encodeCursor(entries[entries.length - 1]) : null
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve audit log' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// List admin accounts (owners only)
+async function getAdminUsers(request, env) {
+    const { error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const result = await env.DB.prepare(`
+            SELECT id, username, role, created_at FROM admin_users ORDER BY username ASC
+        `).all();
+
+        return new Response(
+            JSON.stringify({
+                users: result.results || []
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve admin users' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Create an admin account (owners only)
+async function createAdminUser(request, env) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const body = await request.json();
+        const { username, password, role } = body;
+
+        const errors = [];
+
+        if (typeof username !== 'string' || !/^[A-Za-z0-9_.-]{3,50}$/.test(username)) {
+            errors.push('username must be 3-50 letters, digits, dots, dashes or underscores');
+        } else if (username === SECRET_KEY_ADMIN.username) {
+            errors.push(`username "${SECRET_KEY_ADMIN.username}" is reserved`);
+        }
+
+        if (typeof password !== 'string' || password.length < 8) {
+            errors.push('password must be at least 8 characters');
+        }
+
+        if (!ADMIN_ROLES.includes(role)) {
+            errors.push(`role must be one of: ${ADMIN_ROLES.join(', ')}`);
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const existing = await env.DB.prepare(`
+            SELECT id FROM admin_users WHERE username = ?
+        `).bind(username).first();
+
+        if (existing) {
+            return new Response(
+                JSON.stringify({ error: 'Username is already taken' }),
+                {
+                    status: 409,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const [result] = await env.DB.batch([
+            env.DB.prepare(`
+                INSERT INTO admin_users (username, password_hash, role) VALUES (?, ?, ?)
+            `).bind(username, await hashPassword(password), role),
+            auditStatement(env, session, 'create_user', null, { username, role })
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to create admin user');
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                user: { id: result.meta.last_row_id, username, role }
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to create admin user' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Delete an admin account (owners only); its sessions stop working on their next request
+async function deleteAdminUser(request, env, userId) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const user = await env.DB.prepare(`
+            SELECT id, username, role FROM admin_users WHERE id = ?
+        `).bind(userId).first();
+
+        if (!user) {
+            return new Response(
+                JSON.stringify({ error: 'Admin user not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const [result] = await env.DB.batch([
+            env.DB.prepare(`
+                DELETE FROM admin_users WHERE id = ?
+            `).bind(user.id),
+            auditStatement(env, session, 'delete_user', null, { username: user.username, role: user.role })
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to delete admin user');
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Admin user deleted successfully'
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to delete admin user' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// List the pages that have comments, most recently active first, and the URL aliases (any admin role)
+async function getPages(request, env) {
+    const url = new URL(request.url);
+
+    const { error: authError } = await authorizeAdmin(request, env);
+    if (authError) {
+        return authError;
+    }
+
+    const search = url.searchParams.get('q') || null;
+    const siteId = url.searchParams.get('site_id') || null;
+    const limit = parseLimit(url.searchParams.get('limit'), DEFAULT_ADMIN_PAGE_SIZE);
+
+    let validationError = null;
+    if (siteId && !/^\d+$/.test(siteId)) {
+        validationError = 'Invalid site ID';
+    } else if (!limit) {
+        validationError = 'limit must be a positive integer';
+    }
+
+    if (validationError) {
+        return new Response(
+            JSON.stringify({ error: validationError }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const [pages, aliases] = await env.DB.batch([
+            env.DB.prepare(`
+                SELECT page_url,
+                       COUNT(*) AS count,
+                       SUM(CASE WHEN status = 'pending' THEN 1 ELSE 0 END) AS pending,
+                       MAX(created_at) AS last_comment_at
+                FROM comments
+                WHERE (? IS NULL OR instr(page_url, ?) > 0)
+                  AND (? IS NULL OR site_id = ?)
+                GROUP BY page_url
+                ORDER BY last_comment_at DESC, page_url ASC
+                LIMIT ?
+            `).bind(search, search, siteId, siteId, limit),
+            env.DB.prepare(`
+                SELECT alias_url, canonical_url, created_at
+                FROM page_aliases
+                WHERE (? IS NULL OR instr(alias_url, ?) > 0 OR instr(canonical_url, ?) > 0)
+                ORDER BY canonical_url ASC, alias_url ASC
+            `).bind(search, search, search)
+        ]);
+
+        return new Response(
+            JSON.stringify({
+                pages: pages.results || [],
+                aliases: aliases.results || []
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve pages' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Merge one page's thread into another, e.g. when a post's URL changes (moderators and owners).
+// The comments move to the new URL and the old URL becomes an alias of it, so the widget
+// on either address shows the same thread. Merging a page with no comments just adds the alias.
+async function mergePages(request, env, ctx) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const body = await request.json();
+        const { from_url, to_url } = body;
+
+        const errors = [];
+
+        if (!from_url || !isValidUrl(from_url)) {
+            errors.push('from_url must be a valid http(s) URL');
+        }
+
+        if (!to_url || !isValidUrl(to_url)) {
+            errors.push('to_url must be a valid http(s) URL');
+        }
+
+        const fromUrl = errors.length === 0 ? normalizePageUrl(env, from_url) : null;
+        const toUrl = errors.length === 0 ? await resolvePageUrl(request, env, ctx, to_url) : null;
+
+        if (errors.length === 0 && fromUrl === toUrl) {
+            errors.push('from_url and to_url are the same page');
+        }
+
+        if (errors.length > 0) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const affected = await env.DB.prepare(`
+            SELECT COUNT(*) AS count FROM comments WHERE page_url = ?
+        `).bind(fromUrl).first();
+
+        // Aliases that pointed at the old URL are repointed so they never chain
+        const repointed = await env.DB.prepare(`
+            SELECT alias_url FROM page_aliases WHERE canonical_url = ?
+        `).bind(fromUrl).all();
+        // The moved comments join the new page's site, if it has one
+        const site = await findSiteForPage(env, toUrl);
+
+        // The moved comments leave the old page's live updates and join the new page's, in ID order
+        // so replies follow their parents
+        const [removedEvents, addedEvents, moved] = await env.DB.batch([
+            env.DB.prepare(`
+                INSERT INTO comment_events (page_url, comment_id, type)
+                SELECT page_url, id, 'deleted' FROM comments WHERE page_url = ? AND status = 'approved'
+                ORDER BY id
+            `).bind(fromUrl),
+            env.DB.prepare(`
+                INSERT INTO comment_events (page_url, comment_id, type)
+                SELECT ?, id, 'added' FROM comments WHERE page_url = ? AND status = 'approved'
+                ORDER BY id
+            `).bind(toUrl, fromUrl),
+            env.DB.prepare(`
+                UPDATE comments SET page_url = ?, site_id = COALESCE(?, site_id) WHERE page_url = ?
+            `).bind(toUrl, site?.id ?? null, fromUrl),
+            env.DB.prepare(`
+                UPDATE page_aliases SET canonical_url = ? WHERE canonical_url = ?
+            `).bind(toUrl, fromUrl),
+            env.DB.prepare(`
+                INSERT INTO page_aliases (alias_url, canonical_url) VALUES (?, ?)
+                ON CONFLICT(alias_url) DO UPDATE SET canonical_url = excluded.canonical_url, created_at = CURRENT_TIMESTAMP
+            `).bind(fromUrl, toUrl),
+            auditStatement(env, session, 'merge_pages', null, { from_url: fromUrl, to_url: toUrl, comments: affected?.count || 0 })
+        ]);
+
+        await purgeCommentsCache(request, [fromUrl, toUrl]);
+        await purgeLookups(request, 'page-alias', [fromUrl, ...(repointed.results || []).map(alias => alias.alias_url)]);
+
+        // Broadcast each page's events, starting from its first
+        for (const [pageUrl, events] of [[fromUrl, removedEvents], [toUrl, addedEvents]]) {
+            if (events.meta.changes > 0) {
+                await broadcastCommentEvents(env, pageUrl, events.meta.last_row_id - events.meta.changes + 1);
+            }
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                from_url: fromUrl,
+                to_url: toUrl,
+                moved: moved.meta.changes
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to merge pages' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Remove a URL alias (moderators and owners). Comments already merged stay where they are;
+// the old URL just gets its own, empty thread again.
+async function deletePageAlias(request, env) {
+    const url = new URL(request.url);
+
+    const { session, error: authError } = await authorizeAdmin(request, env, 'moderator');
+    if (authError) {
+        return authError;
+    }
+
+    const aliasUrl = url.searchParams.get('alias_url');
+
+    if (!aliasUrl) {
+        return new Response(
+            JSON.stringify({ error: 'alias_url parameter is required' }),
+            {
+                status: 400,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+
+    try {
+        const alias = await env.DB.prepare(`
+            SELECT alias_url, canonical_url FROM page_aliases WHERE alias_url = ?
+        `).bind(aliasUrl).first();
+
+        if (!alias) {
+            return new Response(
+                JSON.stringify({ error: 'Alias not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const [result] = await env.DB.batch([
+            env.DB.prepare(`
+                DELETE FROM page_aliases WHERE alias_url = ?
+            `).bind(alias.alias_url),
+            auditStatement(env, session, 'delete_alias', null, { alias_url: alias.alias_url, canonical_url: alias.canonical_url })
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to delete alias');
+        }
+
+        await purgeLookups(request, 'page-alias', [alias.alias_url]);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Alias deleted successfully'
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to delete alias' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Rewrite stored page URLs to their normalized form (owners only). Run this after upgrading
+// or after changing the URL_* rules, so comments saved under older forms of a URL show up again.
+async function normalizePages(request, env) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const [pages, aliases] = await env.DB.batch([
+            env.DB.prepare(`
+                SELECT page_url, COUNT(*) AS count FROM comments GROUP BY page_url
+            `),
+            env.DB.prepare(`
+                SELECT alias_url, canonical_url FROM page_aliases
+            `)
+        ]);
+
+        // Aliases are normalized as well. When several turn into the same URL the first is kept,
+        // and normalizing can make one alias's page another alias, so they are followed to the end.
+        const normalize = pageUrl => isValidUrl(pageUrl) ? normalizePageUrl(env, pageUrl) : pageUrl;
+        const canonical = new Map();
+        for (const alias of aliases.results || []) {
+            const aliasUrl = normalize(alias.alias_url);
+            if (!canonical.has(aliasUrl)) {
+                canonical.set(aliasUrl, normalize(alias.canonical_url));
+            }
+        }
+        const resolve = pageUrl => {
+            const seen = new Set();
+            while (canonical.has(pageUrl) && !seen.has(pageUrl)) {
+                seen.add(pageUrl);
+                pageUrl = canonical.get(pageUrl);
+            }
+            return pageUrl;
+        };
+
+        // An alias that now leads back to its own URL is dropped
+        const aliasKey = alias => `${alias.alias_url} ${alias.canonical_url}`;
+        const normalizedAliases = [...canonical.keys()]
+            .map(aliasUrl => ({ alias_url: aliasUrl, canonical_url: resolve(aliasUrl) }))
+            .filter(alias => alias.alias_url !== alias.canonical_url);
+        const kept = new Set(normalizedAliases.map(aliasKey));
+        const stored = new Set((aliases.results || []).map(aliasKey));
+        const staleAliases = (aliases.results || []).filter(alias => !kept.has(aliasKey(alias)));
+        const newAliases = normalizedAliases.filter(alias => !stored.has(aliasKey(alias)));
+
+        const changes = (pages.results || [])
+            .filter(page => isValidUrl(page.page_url))
+            .map(page => ({ from: page.page_url, to: resolve(normalizePageUrl(env, page.page_url)), count: page.count }))
+            .filter(change => change.from !== change.to);
+
+        const comments = changes.reduce((total, change) => total + change.count, 0);
+
+        if (changes.length > 0 || staleAliases.length > 0) {
+            await env.DB.batch([
+                ...changes.map(change => env.DB.prepare(`
+                    UPDATE comments SET page_url = ? WHERE page_url = ?
+                `).bind(change.to, change.from)),
+                ...staleAliases.map(alias => env.DB.prepare(`
+                    DELETE FROM page_aliases WHERE alias_url = ?
+                `).bind(alias.alias_url)),
+                ...newAliases.map(alias => env.DB.prepare(`
+                    INSERT INTO page_aliases (alias_url, canonical_url) VALUES (?, ?)
+                    ON CONFLICT(alias_url) DO UPDATE SET canonical_url = excluded.canonical_url
+                `).bind(alias.alias_url, alias.canonical_url)),
+                auditStatement(env, session, 'normalize_pages', null, {
+                    pages: changes.length,
+                    comments,
+                    aliases: staleAliases.length
+                })
+            ]);
+
+            await purgeCommentsCache(request, changes.flatMap(change => [change.from, change.to]));
+            await purgeLookups(request, 'page-alias', [...staleAliases, ...newAliases].map(alias => alias.alias_url));
+        }
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                pages: changes.length,
+                comments,
+                aliases: staleAliases.length
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to normalize page URLs' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Check and tidy the fields of a site from an admin request.
+// Returns { errors } listing what's wrong, or { values } ready to store.
+function parseSiteInput(body) {
+    const { name, allowed_origins, page_hosts } = body;
+    const errors = [];
+
+    if (typeof name !== 'string' || name.trim().length === 0 || name.trim().length > 100) {
+        errors.push('name must be 1-100 characters');
+    }
+
+    const origins = [];
+    if (!Array.isArray(allowed_origins)) {
+        errors.push('allowed_origins must be a list of origins');
+    } else {
+        for (const origin of allowed_origins) {
+            if (typeof origin !== 'string' || !isValidUrl(origin.trim())) {
+                errors.push(`Invalid origin: ${origin}`);
+            } else {
+                origins.push(new URL(origin.trim()).origin);
+            }
+        }
+    }
+
+    const hosts = [];
+    if (!Array.isArray(page_hosts) || page_hosts.length === 0) {
+        errors.push('page_hosts must list at least one host');
+    } else {
+        for (const host of page_hosts) {
+            if (typeof host !== 'string' || !/^(\*\.)?[a-z0-9-]+(\.[a-z0-9-]+)*$/i.test(host.trim())) {
+                errors.push(`Invalid host pattern: ${host}`);
+            } else {
+                hosts.push(host.trim().toLowerCase());
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        return { errors };
+    }
+
+    return {
+        values: {
+            name: name.trim(),
+            allowed_origins: [...new Set(origins)],
+            page_hosts: [...new Set(hosts)]
+        }
+    };
+}
+
+// Assign comments that don't belong to any site yet to a site whose hosts they're on.
+// Returns the number of comments assigned.
+async function claimSiteComments(env, site) {
+    const pages = await env.DB.prepare(`
+        SELECT DISTINCT page_url FROM comments WHERE site_id IS NULL
+    `).all();
+
+    const matching = (pages.results || [])
+        .map(page => page.page_url)
+        .filter(pageUrl => isValidUrl(pageUrl) &&
+            site.page_hosts.some(pattern => matchesHostPattern(new URL(pageUrl).hostname, pattern)));
+
+    if (matching.length === 0) {
+        return 0;
+    }
+
+    const results = await env.DB.batch(matching.map(pageUrl => env.DB.prepare(`
+        UPDATE comments SET site_id = ? WHERE page_url = ? AND site_id IS NULL
+    `).bind(site.id, pageUrl)));
+
+    return results.reduce((total, result) => total + result.meta.changes, 0);
+}
+
+// The site whose page hosts include a page's host, or null
+async function findSiteForPage(env, pageUrl) {
+    const result = await env.DB.prepare(`
+        SELECT id, site_key, name, allowed_origins, page_hosts FROM sites
+    `).all();
+    const hostname = new URL(pageUrl).hostname;
+    return (result.results || []).map(parseSite)
+        .find(site => site.page_hosts.some(pattern => matchesHostPattern(hostname, pattern))) || null;
+}
+
+// List sites (any admin role)
+async function getSites(request, env) {
+    const { error: authError } = await authorizeAdmin(request, env);
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const result = await env.DB.prepare(`
+            SELECT s.id, s.site_key, s.name, s.allowed_origins, s.page_hosts, s.created_at,
+                   (SELECT COUNT(*) FROM comments c WHERE c.site_id = s.id) AS comment_count
+            FROM sites s
+            ORDER BY s.name ASC
+        `).all();
+
+        return new Response(
+            JSON.stringify({
+                sites: (result.results || []).map(parseSite)
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to retrieve sites' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Create a site (owners only). Existing comments on its hosts that have no site yet are assigned to it.
+async function createSite(request, env) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const body = await request.json();
+        const { errors, values } = parseSiteInput(body);
+
+        if (errors) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        // Site keys are public: they go into the embed code on the blog's pages
+        const siteKey = randomToken(12);
+
+        const [result] = await env.DB.batch([
+            env.DB.prepare(`
+                INSERT INTO sites (site_key, name, allowed_origins, page_hosts) VALUES (?, ?, ?, ?)
+            `).bind(siteKey, values.name, JSON.stringify(values.allowed_origins), JSON.stringify(values.page_hosts)),
+            auditStatement(env, session, 'create_site', null, { site_key: siteKey, ...values })
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to create site');
+        }
+
+        await purgeLookups(request, 'sites');
+
+        const site = { id: result.meta.last_row_id, site_key: siteKey, ...values };
+        const claimed = await claimSiteComments(env, site);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                site,
+                claimed
+            }),
+            {
+                status: 201,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to create site' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Change a site's name, allowed origins and page hosts (owners only); its site key stays the same
+async function updateSite(request, env, siteId) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const body = await request.json();
+        const { errors, values } = parseSiteInput(body);
+
+        if (errors) {
+            return new Response(
+                JSON.stringify({ error: errors.join('; ') }),
+                {
+                    status: 400,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const existing = await env.DB.prepare(`
+            SELECT id, site_key FROM sites WHERE id = ?
+        `).bind(siteId).first();
+
+        if (!existing) {
+            return new Response(
+                JSON.stringify({ error: 'Site not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
         }
 
-        // Delete comment route
-        const deleteMatch = url.pathname.match(/^\/api\/comments\/(\d+)$/);
-        if (deleteMatch && request.method === 'DELETE') {
-            return deleteComment(request, env, deleteMatch[1]);
+        const [result] = await env.DB.batch([
+            env.DB.prepare(`
+                UPDATE sites SET name = ?, allowed_origins = ?, page_hosts = ? WHERE id = ?
+            `).bind(values.name, JSON.stringify(values.allowed_origins), JSON.stringify(values.page_hosts), existing.id),
+            auditStatement(env, session, 'update_site', null, { site_key: existing.site_key, ...values })
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to update site');
         }
 
-        // Admin interface route
-        if (url.pathname === '/admin' && request.method === 'GET') {
-            const secret = url.searchParams.get('secret');
-            const adminSecret = env.ADMIN_SECRET_KEY || 'admin-secret-key';
+        await purgeLookups(request, 'sites');
 
-            if (!secret || secret !== adminSecret) {
-                return new Response('Unauthorized', { status: 401 });
+        const site = { id: existing.id, site_key: existing.site_key, ...values };
+        const claimed = await claimSiteComments(env, site);
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                site,
+                claimed
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
             }
+        );
 
-            // Serve admin interface HTML
-            return new Response(getAdminHTML(), {
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to update site' }),
+            {
+                status: 500,
                 headers: {
-                    'Content-Type': 'text/html',
+                    'Content-Type': 'application/json',
                     ...corsHeaders()
                 }
-            });
+            }
+        );
+    }
+}
+
+// Delete a site (owners only). Its comments are kept but no longer belong to any site,
+// and its site key stops working.
+async function deleteSite(request, env, siteId) {
+    const { session, error: authError } = await authorizeAdmin(request, env, 'owner');
+    if (authError) {
+        return authError;
+    }
+
+    try {
+        const site = await env.DB.prepare(`
+            SELECT id, site_key, name FROM sites WHERE id = ?
+        `).bind(siteId).first();
+
+        if (!site) {
+            return new Response(
+                JSON.stringify({ error: 'Site not found' }),
+                {
+                    status: 404,
+                    headers: {
+                        'Content-Type': 'application/json',
+                        ...corsHeaders()
+                    }
+                }
+            );
+        }
+
+        const [, result] = await env.DB.batch([
+            env.DB.prepare(`
+                UPDATE comments SET site_id = NULL WHERE site_id = ?
+            `).bind(site.id),
+            env.DB.prepare(`
+                DELETE FROM sites WHERE id = ?
+            `).bind(site.id),
+            auditStatement(env, session, 'delete_site', null, { site_key: site.site_key, name: site.name })
+        ]);
+
+        if (!result.success) {
+            throw new Error('Failed to delete site');
+        }
+
+        await purgeLookups(request, 'sites');
+
+        return new Response(
+            JSON.stringify({
+                success: true,
+                message: 'Site deleted successfully'
+            }),
+            {
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+
+    } catch (error) {
+        console.error('Database error:', error);
+        return new Response(
+            JSON.stringify({ error: 'Failed to delete site' }),
+            {
+                status: 500,
+                headers: {
+                    'Content-Type': 'application/json',
+                    ...corsHeaders()
+                }
+            }
+        );
+    }
+}
+
+// Find the admin account for a username and password, or null if they don't match.
+// A blank username logs in with ADMIN_SECRET_KEY as the built-in owner account.
+async function authenticateAdmin(env, username, password) {
+    if (!username) {
+        return await timingSafeEqual(password, env.ADMIN_SECRET_KEY) ? SECRET_KEY_ADMIN : null;
+    }
+
+    const user = await env.DB.prepare(`
+        SELECT id, username, password_hash, role FROM admin_users WHERE username = ?
+    `).bind(username).first();
+
+    if (!user) {
+        // Hash anyway so unknown usernames take as long to reject as wrong passwords
+        await hashPassword(password);
+        return null;
+    }
+
+    return await verifyPassword(password, user.password_hash)
+        ? { id: user.id, username: user.username, role: user.role }
+        : null;
+}
+
+// Check the submitted credentials and start a session
+async function adminLogin(request, env) {
+    let username = '';
+    let password = '';
+    try {
+        const form = await request.formData();
+        username = (form.get('username') || '').trim();
+        password = form.get('password') || '';
+    } catch (_) {
+        // Treat an unreadable body like wrong credentials
+    }
+
+    const user = password ? await authenticateAdmin(env, username, password) : null;
+
+    if (!user) {
+        return new Response(getLoginHTML('Invalid username or password.'), {
+            status: 401,
+            headers: {
+                'Content-Type': 'text/html'
+            }
+        });
+    }
+
+    return new Response(null, {
+        status: 303,
+        headers: {
+            'Location': '/admin',
+            'Set-Cookie': await createAdminSession(env, user)
+        }
+    });
+}
+
+// End the current session and clear its cookie
+async function adminLogout(request, env) {
+    const session = await getAdminSession(request, env);
+    if (session) {
+        await env.SECRETS.delete(`session:${session.id}`);
+    }
+
+    return new Response(null, {
+        status: 303,
+        headers: {
+            'Location': '/admin/login',
+            'Set-Cookie': sessionCookie('', 0)
+        }
+    });
+}
+
+// Route a request to its handler
+async function handleRequest(request, env, ctx) {
+    const url = new URL(request.url);
+
+    // Handle CORS preflight requests
+    if (request.method === 'OPTIONS') {
+        return handleOptions();
+    }
+
+    // API routes
+    if (url.pathname === '/api/comments') {
+        switch (request.method) {
+            case 'GET':
+                return getComments(request, env, ctx);
+            case 'POST':
+                return createComment(request, env, ctx);
+            default:
+                return new Response('Method not allowed', { status: 405 });
+        }
+    }
+
+    if (url.pathname === '/api/notifications/unsubscribe' && (request.method === 'GET' || request.method === 'POST')) {
+        return unsubscribeReplies(request, env);
+    }
+
+    if (url.pathname === '/api/comments/updates' && request.method === 'GET') {
+        return getCommentUpdates(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/comments/live' && request.method === 'GET') {
+        return connectLiveUpdates(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/comments/count' && (request.method === 'GET' || request.method === 'POST')) {
+        return getCommentCounts(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/comments/form-token' && request.method === 'GET') {
+        return getFormToken(request, env);
+    }
+
+    if (url.pathname === '/api/comments/preview' && request.method === 'POST') {
+        return previewComment(request, env);
+    }
+
+    if (url.pathname === '/api/comments/captcha' && request.method === 'GET') {
+        return getCaptchaConfig(request, env);
+    }
+
+    const reactionMatch = url.pathname.match(/^\/api\/comments\/(\d+)\/reactions$/);
+    if (reactionMatch && request.method === 'POST') {
+        return toggleReaction(request, env, ctx, reactionMatch[1]);
+    }
+
+    const reportMatch = url.pathname.match(/^\/api\/comments\/(\d+)\/report$/);
+    if (reportMatch && request.method === 'POST') {
+        return reportComment(request, env, ctx, reportMatch[1]);
+    }
+
+    // Admin routes
+    if (url.pathname === '/api/comments/all' && request.method === 'GET') {
+        return getAllComments(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/comments/moderate' && request.method === 'POST') {
+        return moderateComments(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/comments/bulk' && request.method === 'POST') {
+        return bulkUpdateComments(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/comments/trash' && request.method === 'DELETE') {
+        return emptyTrash(request, env);
+    }
+
+    if (url.pathname === '/api/admin/me' && request.method === 'GET') {
+        return getCurrentAdmin(request, env);
+    }
+
+    if (url.pathname === '/api/admin/audit-log' && request.method === 'GET') {
+        return getAuditLog(request, env);
+    }
+
+    if (url.pathname === '/api/admin/users') {
+        switch (request.method) {
+            case 'GET':
+                return getAdminUsers(request, env);
+            case 'POST':
+                return createAdminUser(request, env);
+            default:
+                return new Response('Method not allowed', { status: 405 });
+        }
+    }
+
+    if (url.pathname === '/api/admin/pages' && request.method === 'GET') {
+        return getPages(request, env);
+    }
+
+    if (url.pathname === '/api/admin/pages/merge' && request.method === 'POST') {
+        return mergePages(request, env, ctx);
+    }
+
+    if (url.pathname === '/api/admin/pages/normalize' && request.method === 'POST') {
+        return normalizePages(request, env);
+    }
+
+    if (url.pathname === '/api/admin/pages/aliases' && request.method === 'DELETE') {
+        return deletePageAlias(request, env);
+    }
+
+    if (url.pathname === '/api/admin/sites') {
+        switch (request.method) {
+            case 'GET':
+                return getSites(request, env);
+            case 'POST':
+                return createSite(request, env);
+            default:
+                return new Response('Method not allowed', { status: 405 });
+        }
+    }
+
+    const siteMatch = url.pathname.match(/^\/api\/admin\/sites\/(\d+)$/);
+    if (siteMatch) {
+        switch (request.method) {
+            case 'PUT':
+                return updateSite(request, env, siteMatch[1]);
+            case 'DELETE':
+                return deleteSite(request, env, siteMatch[1]);
+            default:
+                return new Response('Method not allowed', { status: 405 });
+        }
+    }
+
+    const adminUserMatch = url.pathname.match(/^\/api\/admin\/users\/(\d+)$/);
+    if (adminUserMatch && request.method === 'DELETE') {
+        return deleteAdminUser(request, env, adminUserMatch[1]);
+    }
+
+    const revisionsMatch = url.pathname.match(/^\/api\/comments\/(\d+)\/revisions$/);
+    if (revisionsMatch && request.method === 'GET') {
+        return getCommentRevisions(request, env, revisionsMatch[1]);
+    }
+
+    const undeleteMatch = url.pathname.match(/^\/api\/comments\/(\d+)\/undelete$/);
+    if (undeleteMatch && request.method === 'POST') {
+        return undeleteComment(request, env, undeleteMatch[1]);
+    }
+
+    const restoreMatch = url.pathname.match(/^\/api\/comments\/(\d+)\/restore$/);
+    if (restoreMatch && request.method === 'POST') {
+        return restoreCommentRevision(request, env, restoreMatch[1]);
+    }
+
+    const dismissMatch = url.pathname.match(/^\/api\/comments\/(\d+)\/reports\/dismiss$/);
+    if (dismissMatch && request.method === 'POST') {
+        return dismissReports(request, env, dismissMatch[1]);
+    }
+
+    // Single comment routes
+    const commentMatch = url.pathname.match(/^\/api\/comments\/(\d+)$/);
+    if (commentMatch) {
+        switch (request.method) {
+            case 'PATCH':
+                return editComment(request, env, commentMatch[1]);
+            case 'DELETE':
+                return deleteComment(request, env, commentMatch[1]);
+            default:
+                return new Response('Method not allowed', { status: 405 });
+        }
+    }
+
+    // Admin login and logout
+    if (url.pathname.startsWith('/admin') && !isAdminConfigured(env)) {
+        return new Response('Admin access is disabled: ADMIN_SECRET_KEY and the SECRETS KV namespace must be configured', {
+            status: 503
+        });
+    }
+
+    if (url.pathname === '/admin/login') {
+        switch (request.method) {
+            case 'GET':
+                return new Response(getLoginHTML(), {
+                    headers: {
+                        'Content-Type': 'text/html'
+                    }
+                });
+            case 'POST':
+                return adminLogin(request, env);
+            default:
+                return new Response('Method not allowed', { status: 405 });
+        }
+    }
+
+    if (url.pathname === '/admin/logout' && request.method === 'POST') {
+        return adminLogout(request, env);
+    }
+
+    // Admin interface route
+    if (url.pathname === '/admin' && request.method === 'GET') {
+        if (!(await getAdminSession(request, env))) {
+            return Response.redirect(new URL('/admin/login', url).toString(), 302);
         }
 
-        // Comment widget route
-        if (url.pathname === '/comment-widget' && request.method === 'GET') {
-            return new Response(getCommentWidgetHTML(url.searchParams.get('page_url') || ''), {
+        // Serve admin interface HTML
+        return new Response(getAdminHTML(), {
+            headers: {
+                'Content-Type': 'text/html',
+                ...corsHeaders()
+            }
+        });
+    }
+
+    // Browser scripts shared by the widgets and admin pages
+    if (url.pathname === '/assets/comment-render.js' && request.method === 'GET') {
+        return new Response(COMMENT_RENDER_SCRIPT, {
+            headers: {
+                'Content-Type': 'application/javascript',
+                'Cache-Control': 'public, max-age=3600',
+                ...corsHeaders()
+            }
+        });
+    }
+
+    if (url.pathname === '/assets/comment-live.js' && request.method === 'GET') {
+        return new Response(COMMENT_LIVE_SCRIPT, {
+            headers: {
+                'Content-Type': 'application/javascript',
+                'Cache-Control': 'public, max-age=3600',
+                ...corsHeaders()
+            }
+        });
+    }
+
+    // Embeddable widget: embed.js runs with the rendering and live update helpers and the widget CSS in one scope
+    if (url.pathname === '/embed.js' && request.method === 'GET') {
+        return new Response(`(function () {
+'use strict';
+const WIDGET_CSS = ${JSON.stringify(COMMENT_SYSTEM_CSS)};
+${COMMENT_RENDER_SCRIPT}
+${COMMENT_LIVE_SCRIPT}
+${EMBED_SCRIPT}
+})();
+`, {
+            headers: {
+                'Content-Type': 'application/javascript',
+                'Cache-Control': 'public, max-age=3600',
+                ...corsHeaders()
+            }
+        });
+    }
+
+    // Host page helper for the iframe widget (resizing, themes, comment links)
+    if (url.pathname === '/comment-frame.js' && request.method === 'GET') {
+        return new Response(`(function () {
+'use strict';
+${COMMENT_FRAME_SCRIPT}
+})();
+`, {
+            headers: {
+                'Content-Type': 'application/javascript',
+                'Cache-Control': 'public, max-age=3600',
+                ...corsHeaders()
+            }
+        });
+    }
+
+    // Fills in data-comment-count elements on post listings
+    if (url.pathname === '/comment-count.js' && request.method === 'GET') {
+        return new Response(`(function () {
+'use strict';
+${COMMENT_COUNT_SCRIPT}
+})();
+`, {
+            headers: {
+                'Content-Type': 'application/javascript',
+                'Cache-Control': 'public, max-age=3600',
+                ...corsHeaders()
+            }
+        });
+    }
+
+    // Comment widget route
+    if (url.pathname === '/comment-widget' && request.method === 'GET') {
+        const maxDepth = parseInt(url.searchParams.get('max_depth'), 10);
+        // Site keys are generated tokens; anything else can't be one, so it isn't put into the page
+        const siteKey = url.searchParams.get('site_key') || '';
+        const validSiteKey = /^[A-Za-z0-9_-]{1,64}$/.test(siteKey) ? siteKey : null;
+        const pageUrl = url.searchParams.get('page_url') || '';
+        const theme = url.searchParams.get('theme');
+        const sort = url.searchParams.get('sort');
+
+        if (!isValidUrl(pageUrl)) {
+            return new Response('page_url must be a valid http(s) URL', {
+                status: 400,
                 headers: {
-                    'Content-Type': 'text/html',
+                    'Content-Type': 'text/plain',
                     ...corsHeaders()
                 }
             });
         }
 
-        // Default response
-        return new Response('Blog Comment System API', {
-            headers: corsHeaders()
-        });
-    }
-};
+        const nonce = randomToken(16);
+        return new Response(getCommentWidgetHTML(
+            pageUrl,
+            Number.isInteger(maxDepth) && maxDepth >= 0 ? maxDepth : 3,
+            getCaptchaWidgetConfig(env),
+            validSiteKey,
+            await getWidgetHostOrigins(request, env, ctx, validSiteKey),
+            ['light', 'dark', 'auto'].includes(theme) ? theme : 'light',
+            Boolean(getEmailProvider(env)),
+            Object.hasOwn(COMMENT_SORTS, sort) ? sort : 'oldest',
+            nonce
+        ), {
+            headers: {
+                'Content-Type': 'text/html',
+                'Content-Security-Policy': getWidgetContentSecurityPolicy(env, url, nonce),
+                ...corsHeaders()
+            }
+        });
+    }
+
+    // Default response
+    return new Response('Blog Comment System API', {
+        headers: corsHeaders()
+    });
+}
+
+// Main request handler
+export default {
+    async fetch(request, env, ctx) {
+        const response = await handleRequest(request, env, ctx);
+        return withCors(request, env, ctx, response);
+    },
+
+    async scheduled(controller, env, ctx) {
+        ctx.waitUntil(purgeExpiredTrash(env));
+    }
+};
+
+// Durable Object holding the open WebSockets of one page's live updates (one object per page URL).
+// The Worker checks and forwards the connections, then posts a notice to /broadcast after each change,
+// which is sent on to every socket as is. Sockets hibernate between messages, so idle pages cost nothing.
+export class CommentChannel {
+    constructor(state) {
+        this.state = state;
+        // Clients may ping to keep the connection open; answered without waking the object
+        this.state.setWebSocketAutoResponse(new WebSocketRequestResponsePair('ping', 'pong'));
+    }
+
+    async fetch(request) {
+        const url = new URL(request.url);
+
+        if (url.pathname === '/broadcast' && request.method === 'POST') {
+            const message = await request.text();
+            for (const socket of this.state.getWebSockets()) {
+                try {
+                    socket.send(message);
+                } catch (_) {
+                    // Already closing; the runtime drops it
+                }
+            }
+            return new Response(null, { status: 204 });
+        }
+
+        const { 0: client, 1: server } = new WebSocketPair();
+        this.state.acceptWebSocket(server);
+        return new Response(null, { status: 101, webSocket: client });
+    }
+
+    // Live updates only flow one way; anything but a ping is ignored
+    webSocketMessage() {}
+
+    webSocketClose(socket, code, reason) {
+        try {
+            socket.close(code, reason);
+        } catch (_) {
+            // Codes like 1006 can't be sent back; the socket is gone either way
+        }
+    }
+}
+
+// Admin login page HTML
+function getLoginHTML(errorMessage = '') {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Admin Login</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 400px; margin: 80px auto; padding: 20px; }
+        .login-form { border: 1px solid #ddd; padding: 30px; border-radius: 5px; }
+        label { display: block; margin-bottom: 5px; font-weight: bold; }
+        input[type="text"], input[type="password"] { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; margin-bottom: 15px; }
+        .hint { color: #666; font-size: 0.85em; margin: -10px 0 15px; }
+        button { width: 100%; background-color: #007bff; color: white; border: none; padding: 12px; border-radius: 4px; cursor: pointer; font-size: 16px; }
+        button:hover { background-color: #0056b3; }
+        .error { color: #dc3545; margin-bottom: 15px; }
+    </style>
+</head>
+<body>
+    <form class="login-form" method="POST" action="/admin/login">
+        <h1>Comment Administration</h1>
+        ${errorMessage ? `<p class="error">${errorMessage}</p>` : ''}
+        <label for="username">Username:</label>
+        <input type="text" id="username" name="username" autofocus autocomplete="username">
+        <p class="hint">Leave blank to log in with the admin secret.</p>
+        <label for="password">Password:</label>
+        <input type="password" id="password" name="password" required autocomplete="current-password">
+        <button type="submit">Log in</button>
+    </form>
+</body>
+</html>
+    `;
+}
+
+// Page shown after following an unsubscribe link
+function getUnsubscribeHTML(message) {
+    return `
+<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+    <title>Reply Notifications</title>
+    <style>
+        body { font-family: Arial, sans-serif; max-width: 400px; margin: 80px auto; padding: 20px; text-align: center; color: #333; }
+    </style>
+</head>
+<body>
+    <h1>Reply Notifications</h1>
+    <p>${message}</p>
+</body>
+</html>
+    `;
+}
 
 // Admin interface HTML
 function getAdminHTML() {
@@ -431,83 +5283,712 @@ function getAdminHTML() {
         .header { display: flex; justify-content: space-between; align-items: center; margin-bottom: 30px; }
         .refresh-btn { background-color: #007bff; color: white; border: none; padding: 10px 20px; border-radius: 4px; cursor: pointer; }
         .refresh-btn:hover { background-color: #0056b3; }
+        .status-tabs { display: flex; gap: 5px; margin-bottom: 15px; border-bottom: 1px solid #ddd; }
+        .status-tab { background: none; border: none; border-bottom: 3px solid transparent; padding: 10px 15px; cursor: pointer; font-size: 1em; }
+        .status-tab.active { border-bottom-color: #007bff; font-weight: bold; }
+        .bulk-actions { display: flex; gap: 10px; align-items: center; margin-bottom: 15px; }
+        .bulk-actions button, .moderate-btn { border: none; padding: 8px 16px; border-radius: 4px; cursor: pointer; color: white; }
+        .approve-btn { background-color: #28a745; }
+        .reject-btn { background-color: #6c757d; }
+        .spam-btn { background-color: #fd7e14; }
+        .comment-actions { display: flex; gap: 10px; align-items: center; }
+        .status-badge { padding: 2px 8px; border-radius: 10px; font-size: 0.8em; background-color: #eee; }
+        .status-badge.pending { background-color: #fff3cd; }
+        .status-badge.approved { background-color: #d4edda; }
+        .status-badge.rejected { background-color: #e2e3e5; }
+        .status-badge.spam { background-color: #f8d7da; }
+        .current-admin { color: #666; margin-right: 10px; }
+        .flag-reason { color: #856404; background-color: #fff3cd; padding: 4px 8px; border-radius: 4px; font-size: 0.9em; display: inline-block; }
+        .audit-entry { border-bottom: 1px solid #eee; padding: 8px 0; }
+        .audit-details { color: #666; font-size: 0.9em; }
+        .page-row { display: flex; justify-content: space-between; align-items: center; gap: 10px; border-bottom: 1px solid #eee; padding: 8px 0; }
+        .page-search { display: flex; gap: 10px; margin-bottom: 10px; }
+        .page-search input { flex: 1; padding: 8px; }
+        .history-btn { background: none; border: none; color: #007bff; cursor: pointer; padding: 0; margin-left: 10px; font-size: 1em; }
+        .history-btn:hover { text-decoration: underline; }
+        .revisions { margin-top: 10px; padding: 10px; background-color: #f8f9fa; border-radius: 4px; }
+        .revision { border-bottom: 1px solid #eee; padding: 8px 0; }
+        .revision:last-child { border-bottom: none; }
+        .revision-diff { white-space: pre-wrap; margin: 5px 0; font-family: monospace; font-size: 0.9em; }
+        .revision-diff ins { background-color: #d4edda; text-decoration: none; }
+        .revision-diff del { background-color: #f8d7da; }
+        .restore-btn { background-color: #6c757d; color: white; border: none; padding: 4px 10px; border-radius: 4px; cursor: pointer; }
+        .reports { color: #721c24; background-color: #f8d7da; padding: 4px 8px; border-radius: 4px; font-size: 0.9em; margin-top: 5px; }
+        .reports ul { margin: 5px 0 0; padding-left: 20px; }
+        .dismiss-btn { background-color: #17a2b8; }
+        .status-badge.deleted { background-color: #343a40; color: white; }
+        .trash-actions { display: flex; gap: 10px; align-items: center; justify-content: space-between; margin-bottom: 15px; }
+        .comment-filters { display: flex; flex-wrap: wrap; gap: 10px; margin-bottom: 15px; }
+        .comment-filters input, .comment-filters select { padding: 8px; }
+        .comment-filters input[type="text"] { flex: 1; min-width: 150px; }
+        .select-matching { margin-bottom: 15px; padding: 8px; background-color: #e7f1ff; border-radius: 4px; }
+        .select-matching button { background: none; border: none; color: #007bff; cursor: pointer; padding: 0; font-size: 1em; }
+        .move-btn { background-color: #17a2b8; }
+        body.role-read-only .bulk-actions,
+        body.role-read-only .select-matching,
+        body.role-read-only .comment-actions,
+        body.role-read-only .select-comment,
+        body.role-read-only .restore-btn,
+        body.role-read-only .page-action { display: none; }
+        body:not(.role-owner) .owner-only { display: none; }
     </style>
 </head>
 <body>
     <div class="header">
         <h1>Comment Administration</h1>
-        <button class="refresh-btn" onclick="loadComments()">Refresh</button>
+        <div>
+            <span id="current-admin" class="current-admin"></span>
+            <button class="refresh-btn" onclick="toggleAuditLog()">Audit log</button>
+            <button class="refresh-btn" onclick="togglePages()">Pages</button>
+            <button class="refresh-btn" onclick="loadComments()">Refresh</button>
+            <form method="POST" action="/admin/logout" style="display: inline;">
+                <button type="submit" class="refresh-btn">Log out</button>
+            </form>
+        </div>
+    </div>
+    <select id="site-filter" style="display: none; margin-bottom: 15px; padding: 8px;" onchange="loadComments(); loadPages()">
+        <option value="">All sites</option>
+    </select>
+    <div class="status-tabs">
+        <button class="status-tab active" data-status="">All (<span id="count-all">0</span>)</button>
+        <button class="status-tab" data-status="pending">Pending (<span id="count-pending">0</span>)</button>
+        <button class="status-tab" data-status="approved">Approved (<span id="count-approved">0</span>)</button>
+        <button class="status-tab" data-status="rejected">Rejected (<span id="count-rejected">0</span>)</button>
+        <button class="status-tab" data-status="spam">Spam (<span id="count-spam">0</span>)</button>
+        <button class="status-tab" data-status="reported">Reported (<span id="count-reported">0</span>)</button>
+        <button class="status-tab" data-status="deleted">Trash (<span id="count-deleted">0</span>)</button>
+    </div>
+    <div class="comment-filters">
+        <input type="text" id="filter-q" placeholder="Search authors and comments" onchange="loadComments()">
+        <input type="text" id="filter-page-url" placeholder="Page URL" onchange="loadComments()">
+        <input type="text" id="filter-author" placeholder="Author" onchange="loadComments()">
+        <label>From <input type="date" id="filter-from" onchange="loadComments()"></label>
+        <label>To <input type="date" id="filter-to" onchange="loadComments()"></label>
+        <select id="sort-select" onchange="loadComments()">
+            <option value="newest">Newest first</option>
+            <option value="oldest">Oldest first</option>
+            <option value="author">By author</option>
+        </select>
+    </div>
+    <div class="bulk-actions">
+        <label><input type="checkbox" id="select-all" onchange="toggleSelectAll(this.checked)"> Select all</label>
+        <button class="approve-btn" onclick="bulkUpdateSelected('approve')">Approve selected</button>
+        <button class="reject-btn" onclick="bulkUpdateSelected('reject')">Reject selected</button>
+        <button class="spam-btn" onclick="bulkUpdateSelected('spam')">Spam selected</button>
+        <button class="delete-btn" onclick="bulkUpdateSelected('delete')">Delete selected</button>
+        <button class="move-btn" onclick="bulkUpdateSelected('move')">Move selected</button>
+    </div>
+    <div id="select-matching" class="select-matching" style="display: none;"></div>
+    <div id="trash-actions" class="trash-actions" style="display: none;">
+        <span id="trash-note" class="comment-meta"></span>
+        <button class="delete-btn owner-only" onclick="emptyTrash()">Empty trash</button>
     </div>
     <div id="loading" class="loading">Loading comments...</div>
     <div id="error" class="error" style="display: none;"></div>
     <div id="success" class="success" style="display: none;"></div>
     <div id="comments-container"></div>
+    <button id="load-more" class="refresh-btn" style="display: none; margin: 20px auto;" onclick="loadComments(true)">Load more</button>
+    <div id="audit-log" style="display: none;">
+        <h2>Audit log</h2>
+        <div id="audit-entries"></div>
+        <button id="audit-load-more" class="refresh-btn" style="display: none; margin: 20px auto;" onclick="loadAuditLog(true)">Load more</button>
+    </div>
+    <div id="pages" style="display: none;">
+        <h2>Pages</h2>
+        <div class="page-search">
+            <input type="text" id="page-search" placeholder="Filter by URL">
+            <button class="refresh-btn" onclick="loadPages()">Search</button>
+            <button class="refresh-btn owner-only" onclick="normalizePages()">Normalize stored URLs</button>
+        </div>
+        <div id="page-list"></div>
+        <h3>Aliases</h3>
+        <div id="alias-list"></div>
+    </div>
 
+    <script src="/assets/comment-render.js"></script>
     <script>
         const API_BASE = window.location.origin;
-        const secret = new URLSearchParams(window.location.search).get('secret');
+        let currentStatus = '';
+        let loadedComments = [];
+        let nextCursor = null;
+        // Set when "select all matching the filter" is on: bulk actions then send the filter instead of IDs
+        let selectAllMatching = false;
+        let matchingCount = 0;
+        let auditCursor = null;
 
-        async function loadComments() {
+        // Show who is logged in and hide moderation controls from read-only admins
+        async function loadCurrentAdmin() {
+            const response = await fetch(\`\${API_BASE}/api/admin/me\`);
+            if (!response.ok) return;
+            const admin = await response.json();
+            document.getElementById('current-admin').textContent = \`\${admin.username} (\${admin.role})\`;
+            document.body.classList.add(\`role-\${admin.role}\`);
+        }
+
+        function toggleAuditLog() {
+            const auditLog = document.getElementById('audit-log');
+            const showing = auditLog.style.display === 'none';
+            auditLog.style.display = showing ? 'block' : 'none';
+            if (showing) loadAuditLog();
+        }
+
+        async function loadAuditLog(append = false) {
+            const entries = document.getElementById('audit-entries');
+            const loadMore = document.getElementById('audit-load-more');
+
+            try {
+                const params = new URLSearchParams();
+                if (append && auditCursor) params.set('cursor', auditCursor);
+                const response = await fetch(\`\${API_BASE}/api/admin/audit-log?\${params}\`);
+                if (!response.ok) {
+                    throw new Error('Failed to load audit log');
+                }
+
+                const data = await response.json();
+                const html = data.entries.map(entry => \`
+                    <div class="audit-entry">
+                        <strong>\${escapeHtml(entry.actor)}</strong> \${escapeHtml(entry.action)}
+                        \${entry.comment_id ? \`comment #\${entry.comment_id}\` : ''}
+                        <span class="comment-meta">\${formatDate(entry.created_at)}</span>
+                        \${entry.details ? \`<div class="audit-details">\${escapeHtml(JSON.stringify(entry.details))}</div>\` : ''}
+                    </div>
+                \`).join('');
+                entries.innerHTML = append ? entries.innerHTML + html : (html || '<p>No entries yet.</p>');
+                auditCursor = data.next_cursor;
+                loadMore.style.display = auditCursor ? 'block' : 'none';
+            } catch (err) {
+                const error = document.getElementById('error');
+                error.textContent = 'Error loading audit log: ' + err.message;
+                error.style.display = 'block';
+            }
+        }
+
+        // Offer a site filter once there is more than one site
+        async function loadSites() {
+            const response = await fetch(\`\${API_BASE}/api/admin/sites\`);
+            if (!response.ok) return;
+            const data = await response.json();
+            const filter = document.getElementById('site-filter');
+            filter.innerHTML += data.sites.map(site => \`
+                <option value="\${site.id}">\${escapeHtml(site.name)}</option>
+            \`).join('');
+            filter.style.display = data.sites.length > 1 ? 'block' : 'none';
+        }
+
+        function togglePages() {
+            const pages = document.getElementById('pages');
+            const showing = pages.style.display === 'none';
+            pages.style.display = showing ? 'block' : 'none';
+            if (showing) loadPages();
+        }
+
+        // Pages with comments, and the old URLs that were merged into them
+        async function loadPages() {
+            try {
+                const params = new URLSearchParams();
+                const search = document.getElementById('page-search').value.trim();
+                const siteId = document.getElementById('site-filter').value;
+                if (search) params.set('q', search);
+                if (siteId) params.set('site_id', siteId);
+                const response = await fetch(\`\${API_BASE}/api/admin/pages?\${params}\`);
+                if (!response.ok) {
+                    throw new Error('Failed to load pages');
+                }
+
+                const data = await response.json();
+                document.getElementById('page-list').innerHTML = data.pages.map(page => \`
+                    <div class="page-row">
+                        <div>
+                            <a href="\${safeHref(page.page_url)}" target="_blank" class="page-url">\${escapeHtml(page.page_url)}</a>
+                            <div class="comment-meta">\${page.count} comment(s), \${page.pending} pending, last \${formatDate(page.last_comment_at)}</div>
+                        </div>
+                        <button class="refresh-btn page-action" data-page-url="\${escapeHtml(page.page_url)}" onclick="mergePage(this.dataset.pageUrl)">Merge into...</button>
+                    </div>
+                \`).join('') || '<p>No pages found.</p>';
+                document.getElementById('alias-list').innerHTML = data.aliases.map(alias => \`
+                    <div class="page-row">
+                        <div>
+                            <span class="page-url">\${escapeHtml(alias.alias_url)}</span>
+                            <div class="comment-meta">shows the thread of \${escapeHtml(alias.canonical_url)}</div>
+                        </div>
+                        <button class="delete-btn page-action" data-alias-url="\${escapeHtml(alias.alias_url)}" onclick="deleteAlias(this.dataset.aliasUrl)">Remove</button>
+                    </div>
+                \`).join('') || '<p>No aliases.</p>';
+            } catch (err) {
+                showError('Error loading pages: ' + err.message);
+            }
+        }
+
+        async function mergePage(fromUrl) {
+            const toUrl = prompt(\`Move the comments on\n\${fromUrl}\nto this URL (the old URL will show the same thread):\`);
+            if (!toUrl) return;
+            await pageRequest('/api/admin/pages/merge', 'POST', { from_url: fromUrl, to_url: toUrl },
+                data => \`Moved \${data.moved} comment(s) to \${data.to_url}\`);
+        }
+
+        async function deleteAlias(aliasUrl) {
+            if (!confirm(\`Remove the alias for \${aliasUrl}? It will get its own thread again.\`)) return;
+            await pageRequest(\`/api/admin/pages/aliases?alias_url=\${encodeURIComponent(aliasUrl)}\`, 'DELETE', null,
+                () => 'Alias removed');
+        }
+
+        async function normalizePages() {
+            if (!confirm('Rewrite every stored page URL to its normalized form?')) return;
+            await pageRequest('/api/admin/pages/normalize', 'POST', null,
+                data => \`Normalized \${data.pages} page URL(s) covering \${data.comments} comment(s), and rewrote or removed \${data.aliases} alias(es)\`);
+        }
+
+        // Send a page management request, then report the result and reload the lists
+        async function pageRequest(path, method, body, describe) {
+            try {
+                const response = await fetch(\`\${API_BASE}\${path}\`, {
+                    method,
+                    headers: body ? { 'Content-Type': 'application/json' } : {},
+                    body: body ? JSON.stringify(body) : undefined
+                });
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Request failed');
+                }
+
+                const success = document.getElementById('success');
+                success.textContent = describe(data);
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+                loadPages();
+                loadComments();
+            } catch (err) {
+                showError(err.message);
+            }
+        }
+
+        function showError(message) {
+            const error = document.getElementById('error');
+            error.textContent = message;
+            error.style.display = 'block';
+        }
+
+        document.querySelectorAll('.status-tab').forEach(tab => {
+            tab.addEventListener('click', () => {
+                document.querySelectorAll('.status-tab').forEach(t => t.classList.remove('active'));
+                tab.classList.add('active');
+                currentStatus = tab.dataset.status;
+                loadComments();
+            });
+        });
+
+        // Load the first page, or the next one when append is true
+        async function loadComments(append = false) {
             const loading = document.getElementById('loading');
             const error = document.getElementById('error');
             const container = document.getElementById('comments-container');
+            const loadMore = document.getElementById('load-more');
+
+            loading.style.display = 'block';
+            error.style.display = 'none';
+            loadMore.style.display = 'none';
+            if (!append) {
+                container.innerHTML = '';
+            }
+
+            try {
+                const params = new URLSearchParams();
+                const siteId = document.getElementById('site-filter').value;
+                // Reported isn't a status: it lists comments with reports still open, whatever their status
+                if (currentStatus === 'reported') params.set('reported', 'true');
+                else if (currentStatus) params.set('status', currentStatus);
+                if (siteId) params.set('site_id', siteId);
+                for (const [name, value] of Object.entries(commentFilterInputs())) {
+                    params.set(name, value);
+                }
+                params.set('sort', document.getElementById('sort-select').value);
+                if (append && nextCursor) params.set('cursor', nextCursor);
+                const response = await fetch(\`\${API_BASE}/api/comments/all?\${params}\`);
+                if (response.status === 401) {
+                    window.location.href = '/admin/login';
+                    return;
+                }
+                if (!response.ok) {
+                    throw new Error('Failed to load comments');
+                }
+
+                const data = await response.json();
+                loadedComments = append ? loadedComments.concat(data.comments) : data.comments;
+                nextCursor = data.next_cursor;
+                updateStatusCounts(data.status_counts);
+                document.getElementById('count-reported').textContent = data.reported_count;
+                matchingCount = currentStatus ? (data.status_counts[currentStatus] || 0) : Number(document.getElementById('count-all').textContent);
+                document.querySelector('.bulk-actions').style.display = currentStatus === 'deleted' ? 'none' : '';
+                document.getElementById('trash-actions').style.display = currentStatus === 'deleted' ? '' : 'none';
+                document.getElementById('trash-note').textContent = data.trash_retention_days > 0
+                    ? \`Comments are deleted for good \${data.trash_retention_days} days after they were moved to the trash.\`
+                    : 'Comments stay in the trash until it is emptied.';
+                displayComments(loadedComments);
+                loadMore.style.display = nextCursor ? 'block' : 'none';
+            } catch (err) {
+                error.textContent = 'Error loading comments: ' + err.message;
+                error.style.display = 'block';
+            } finally {
+                loading.style.display = 'none';
+            }
+        }
+
+        function updateStatusCounts(counts) {
+            let total = 0;
+            for (const [status, count] of Object.entries(counts || {})) {
+                const el = document.getElementById(\`count-\${status}\`);
+                if (el) el.textContent = count;
+                // The trash isn't part of All
+                if (status !== 'deleted') total += count;
+            }
+            document.getElementById('count-all').textContent = total;
+        }
+
+        function displayComments(comments) {
+            const container = document.getElementById('comments-container');
+            document.getElementById('select-all').checked = false;
+            selectAllMatching = false;
+            updateSelectMatching();
+
+            if (comments.length === 0) {
+                container.innerHTML = '<p style="text-align: center; color: #666;">No comments found.</p>';
+                return;
+            }
+
+            container.innerHTML = comments.map(comment => \`
+                <div class="admin-comment" data-comment-id="\${comment.id}">
+                    <div class="admin-comment-header">
+                        <div>
+                            <input type="checkbox" class="select-comment" value="\${comment.id}">
+                            <strong>\${escapeHtml(comment.author_name)}</strong>
+                            <span class="status-badge \${comment.status}">\${comment.status}</span>
+                            <div class="comment-meta">
+                                on <a href="\${safeHref(comment.page_url)}" target="_blank" class="page-url">\${escapeHtml(comment.page_url)}</a>
+                            </div>
+                        </div>
+                        <div class="comment-meta">
+                            \${formatDate(comment.created_at)}
+                            \${comment.edited_at ? \`<span title="Edited \${formatDate(comment.edited_at)}">(edited)</span>\` : ''}
+                            \${comment.deleted_at ? \`<span>(deleted \${formatDate(comment.deleted_at)})</span>\` : ''}
+                            <button class="history-btn" onclick="toggleRevisions(\${comment.id})">History</button>
+                        </div>
+                    </div>
+                    \${comment.flagged_by ? \`<div class="flag-reason">Flagged by <strong>\${escapeHtml(comment.flagged_by)}</strong>: \${escapeHtml(comment.flag_reason || '')}</div>\` : ''}
+                    \${comment.reports.length ? \`
+                        <div class="reports">
+                            Reported by \${comment.reports.length} reader(s):
+                            <ul>\${comment.reports.map(report => \`<li>\${escapeHtml(report.reason)} <span class="comment-meta">\${formatDate(report.created_at)}</span></li>\`).join('')}</ul>
+                        </div>
+                    \` : ''}
+                    <div class="comment-content">
+                        \${renderCommentContent(comment)}
+                    </div>
+                    <div class="comment-actions">
+                        \${comment.status === 'deleted' ? \`<button class="moderate-btn approve-btn" onclick="undeleteComment(\${comment.id})">Restore</button>\` : \`
+                        \${comment.status !== 'approved' ? \`<button class="moderate-btn approve-btn" onclick="moderateComments([\${comment.id}], 'approve')">Approve</button>\` : ''}
+                        \${comment.status !== 'rejected' ? \`<button class="moderate-btn reject-btn" onclick="moderateComments([\${comment.id}], 'reject')">Reject</button>\` : ''}
+                        \${comment.status !== 'spam' ? \`<button class="moderate-btn spam-btn" onclick="moderateComments([\${comment.id}], 'spam')">Spam</button>\` : ''}
+                        \${comment.reports.length ? \`<button class="moderate-btn dismiss-btn" onclick="dismissReports(\${comment.id})">Dismiss reports</button>\` : ''}
+                        <button class="delete-btn" onclick="deleteComment(\${comment.id})">Delete</button>
+                        \`}
+                    </div>
+                    <div id="revisions-\${comment.id}" class="revisions" style="display: none;"></div>
+                </div>
+            \`).join('');
+        }
+
+        function toggleRevisions(commentId) {
+            const panel = document.getElementById(\`revisions-\${commentId}\`);
+            const showing = panel.style.display === 'none';
+            panel.style.display = showing ? 'block' : 'none';
+            if (showing) loadRevisions(commentId);
+        }
+
+        // Each revision is the comment as it was before a change, shown as the difference to the version after it
+        async function loadRevisions(commentId) {
+            const panel = document.getElementById(\`revisions-\${commentId}\`);
+            panel.textContent = 'Loading history...';
+
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${commentId}/revisions\`);
+                const data = await response.json();
+                if (!response.ok) {
+                    throw new Error(data.error || 'Failed to load history');
+                }
+
+                panel.innerHTML = data.revisions.map((revision, i) => {
+                    const after = i === 0 ? data.comment : data.revisions[i - 1];
+                    return \`
+                        <div class="revision">
+                            <strong>\${escapeHtml(revision.editor)}</strong> \${escapeHtml(revision.action)}
+                            <span class="comment-meta">\${formatDate(revision.created_at)}</span>
+                            \${revision.status !== after.status ? \`<div class="comment-meta">Status: \${revision.status} → \${after.status}</div>\` : ''}
+                            \${revision.author_name !== after.author_name ? \`<div class="comment-meta">Name: \${escapeHtml(revision.author_name)} → \${escapeHtml(after.author_name)}</div>\` : ''}
+                            <div class="revision-diff">\${renderTextDiff(revision.comment_content, after.comment_content)}</div>
+                            <button class="restore-btn" onclick="restoreRevision(\${commentId}, \${revision.id})">Restore this version</button>
+                        </div>
+                    \`;
+                }).join('') || '<p class="comment-meta">No changes yet.</p>';
+            } catch (err) {
+                panel.textContent = 'Error loading history: ' + err.message;
+            }
+        }
+
+        async function restoreRevision(commentId, revisionId) {
+            if (!confirm('Restore this version? The current one stays in the history.')) return;
+
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${commentId}/restore\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ revision_id: revisionId })
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Failed to restore version');
+                }
+
+                const success = document.getElementById('success');
+                success.textContent = 'Version restored';
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+                loadComments();
+            } catch (err) {
+                showError('Error restoring version: ' + err.message);
+            }
+        }
+
+        function toggleSelectAll(checked) {
+            document.querySelectorAll('.select-comment').forEach(box => {
+                box.checked = checked;
+            });
+            selectAllMatching = false;
+            updateSelectMatching();
+        }
+
+        // Unticking a single comment leaves "all matching" mode
+        document.getElementById('comments-container').addEventListener('change', (event) => {
+            if (event.target.classList.contains('select-comment') && !event.target.checked && selectAllMatching) {
+                selectAllMatching = false;
+                document.getElementById('select-all').checked = false;
+                updateSelectMatching();
+            }
+        });
+
+        // The search and the page URL, author and date filters, by their API parameter names
+        function commentFilterInputs() {
+            const inputs = {
+                q: document.getElementById('filter-q').value.trim(),
+                page_url: document.getElementById('filter-page-url').value.trim(),
+                author: document.getElementById('filter-author').value.trim(),
+                from: document.getElementById('filter-from').value,
+                to: document.getElementById('filter-to').value
+            };
+            return Object.fromEntries(Object.entries(inputs).filter(([, value]) => value));
+        }
+
+        // The bulk filter for the current tab and filters, or null when there is none to send:
+        // Reported isn't something a filter can express, and an empty filter would match everything
+        function currentBulkFilter() {
+            if (currentStatus === 'reported' || currentStatus === 'deleted') return null;
+            const filter = commentFilterInputs();
+            const siteId = document.getElementById('site-filter').value;
+            if (currentStatus) filter.status = currentStatus;
+            if (siteId) filter.site_id = Number(siteId);
+            return Object.keys(filter).length ? filter : null;
+        }
+
+        // Offer to go from the comments shown to every comment matching the filter
+        function updateSelectMatching() {
+            const banner = document.getElementById('select-matching');
+            const allChecked = document.getElementById('select-all').checked;
+            if (!allChecked || !currentBulkFilter() || matchingCount <= loadedComments.length) {
+                banner.style.display = 'none';
+                return;
+            }
+
+            banner.innerHTML = selectAllMatching
+                ? \`All \${matchingCount} comments matching the filter are selected. <button onclick="clearSelection()">Clear selection</button>\`
+                : \`All \${loadedComments.length} comments shown are selected. <button onclick="selectAllMatchingFilter()">Select all \${matchingCount} comments matching the filter</button>\`;
+            banner.style.display = 'block';
+        }
+
+        function selectAllMatchingFilter() {
+            selectAllMatching = true;
+            updateSelectMatching();
+        }
+
+        function clearSelection() {
+            document.getElementById('select-all').checked = false;
+            toggleSelectAll(false);
+        }
+
+        const BULK_ACTION_LABELS = { approve: 'Approve', reject: 'Reject', spam: 'Mark as spam', delete: 'Move to trash', move: 'Move' };
+
+        // Apply an action to the ticked comments, or to everything matching the filter. A dry run first
+        // counts what that covers (moves take replies along), so the confirmation shows the real number.
+        async function bulkUpdateSelected(action) {
+            const body = { action };
+            if (selectAllMatching) {
+                body.filter = currentBulkFilter();
+            } else {
+                body.ids = Array.from(document.querySelectorAll('.select-comment:checked')).map(box => Number(box.value));
+                if (body.ids.length === 0) {
+                    alert('Select at least one comment first.');
+                    return;
+                }
+            }
+            if (action === 'move') {
+                const toPageUrl = prompt('Move to which page URL? Replies move along with their comments.');
+                if (!toPageUrl) return;
+                body.to_page_url = toPageUrl.trim();
+            }
+
+            try {
+                const preview = await postBulk({ ...body, dry_run: true });
+                if (preview.matched === 0) {
+                    alert('No comments match.');
+                    return;
+                }
+                const target = action === 'move' ? \` to \${body.to_page_url}\` : '';
+                if (!confirm(\`\${BULK_ACTION_LABELS[action]} \${preview.matched} comment(s)\${target}?\`)) return;
+
+                const data = await postBulk(body);
+                const success = document.getElementById('success');
+                success.textContent = \`\${data.updated} comment(s) updated\`;
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+
+                loadComments();
+            } catch (err) {
+                showError('Error updating comments: ' + err.message);
+            }
+        }
+
+        async function postBulk(body) {
+            const response = await fetch(\`\${API_BASE}/api/comments/bulk\`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify(body)
+            });
+            const data = await response.json();
+            if (!response.ok || !data.success) {
+                throw new Error(data.error || 'Failed to update comments');
+            }
+            return data;
+        }
+
+        async function moderateComments(ids, action) {
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/moderate\`, {
+                    method: 'POST',
+                    headers: { 'Content-Type': 'application/json' },
+                    body: JSON.stringify({ ids, action })
+                });
+
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Failed to update comments');
+                }
+
+                const success = document.getElementById('success');
+                success.textContent = \`\${data.updated} comment(s) marked as \${data.status}\`;
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+
+                loadComments();
+            } catch (err) {
+                const error = document.getElementById('error');
+                error.textContent = 'Error updating comments: ' + err.message;
+                error.style.display = 'block';
+            }
+        }
+
+        // Take a comment out of the trash, back to the status it had before
+        async function undeleteComment(commentId) {
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${commentId}/undelete\`, {
+                    method: 'POST'
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Failed to restore comment');
+                }
+
+                const success = document.getElementById('success');
+                success.textContent = \`Comment restored as \${data.status}\`;
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+                loadComments();
+            } catch (err) {
+                showError('Error restoring comment: ' + err.message);
+            }
+        }
 
-            loading.style.display = 'block';
-            error.style.display = 'none';
-            container.innerHTML = '';
+        async function emptyTrash() {
+            if (!confirm('Delete every comment in the trash for good? This cannot be undone.')) return;
 
             try {
-                const response = await fetch(\`\${API_BASE}/api/comments/all?secret=\${secret}\`);
-                if (!response.ok) {
-                    throw new Error('Failed to load comments');
+                const response = await fetch(\`\${API_BASE}/api/comments/trash\`, {
+                    method: 'DELETE'
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Failed to empty the trash');
                 }
 
-                const data = await response.json();
-                displayComments(data.comments);
+                const success = document.getElementById('success');
+                success.textContent = \`\${data.purged} comment(s) deleted for good\`;
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+                loadComments();
             } catch (err) {
-                error.textContent = 'Error loading comments: ' + err.message;
-                error.style.display = 'block';
-            } finally {
-                loading.style.display = 'none';
+                showError('Error emptying the trash: ' + err.message);
             }
         }
 
-        function displayComments(comments) {
-            const container = document.getElementById('comments-container');
+        // Close a comment's open reports; one the reports had hidden goes back up
+        async function dismissReports(commentId) {
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${commentId}/reports/dismiss\`, {
+                    method: 'POST'
+                });
+                const data = await response.json();
+                if (!response.ok || !data.success) {
+                    throw new Error(data.error || 'Failed to dismiss reports');
+                }
 
-            if (comments.length === 0) {
-                container.innerHTML = '<p style="text-align: center; color: #666;">No comments found.</p>';
-                return;
+                const success = document.getElementById('success');
+                success.textContent = \`\${data.dismissed} report(s) dismissed\`;
+                success.style.display = 'block';
+                setTimeout(() => {
+                    success.style.display = 'none';
+                }, 3000);
+                loadComments();
+            } catch (err) {
+                showError('Error dismissing reports: ' + err.message);
             }
-
-            container.innerHTML = comments.map(comment => \`
-                <div class="admin-comment" data-comment-id="\${comment.id}">
-                    <div class="admin-comment-header">
-                        <div>
-                            <strong>\${escapeHtml(comment.author_name)}</strong>
-                            <div class="comment-meta">
-                                on <a href="\${escapeHtml(comment.page_url)}" target="_blank" class="page-url">\${escapeHtml(comment.page_url)}</a>
-                            </div>
-                        </div>
-                        <div class="comment-meta">
-                            \${formatDate(comment.created_at)}
-                        </div>
-                    </div>
-                    <div class="comment-content">
-                        \${escapeHtml(comment.comment_content)}
-                    </div>
-                    <button class="delete-btn" onclick="deleteComment(\${comment.id})">Delete</button>
-                </div>
-            \`).join('');
         }
 
         async function deleteComment(commentId) {
-            if (!confirm('Are you sure you want to delete this comment?')) {
+            if (!confirm('Move this comment to the trash?')) {
                 return;
             }
 
             try {
-                const response = await fetch(\`\${API_BASE}/api/comments/\${commentId}?secret=\${secret}\`, {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${commentId}\`, {
                     method: 'DELETE'
                 });
 
@@ -523,7 +6004,7 @@ function getAdminHTML() {
 
                 // Show success message
                 const success = document.getElementById('success');
-                success.textContent = 'Comment deleted successfully';
+                success.textContent = 'Comment moved to the trash';
                 success.style.display = 'block';
                 setTimeout(() => {
                     success.style.display = 'none';
@@ -536,18 +6017,9 @@ function getAdminHTML() {
             }
         }
 
-        function escapeHtml(text) {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
-        }
-
-        function formatDate(dateString) {
-            const date = new Date(dateString);
-            return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-        }
-
         // Load comments on page load
+        loadCurrentAdmin();
+        loadSites();
         loadComments();
     </script>
 </body>
@@ -555,8 +6027,30 @@ function getAdminHTML() {
     `;
 }
 
+// A value as a JavaScript literal inside an inline <script>; escaping < keeps "</script>" in it from ending the script
+function toScriptLiteral(value) {
+    return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+// The widget runs on the Worker's origin, alongside admin sessions and commenters' edit tokens, so it
+// only runs its own scripts (inline ones carry the nonce) and those of the CAPTCHA provider
+function getWidgetContentSecurityPolicy(env, url, nonce) {
+    const captchaSources = getCaptchaProvider(env)?.cspSources || '';
+    const socketOrigin = `${url.protocol === 'https:' ? 'wss:' : 'ws:'}//${url.host}`;
+    return [
+        "default-src 'none'",
+        `script-src 'self' 'nonce-${nonce}' ${captchaSources}`,
+        `style-src 'self' 'unsafe-inline' ${captchaSources}`,
+        `connect-src 'self' ${socketOrigin} ${captchaSources}`,
+        `frame-src ${captchaSources || "'none'"}`,
+        "img-src 'self' data:",
+        "base-uri 'none'",
+        "form-action 'none'"
+    ].map(directive => directive.trim()).join('; ');
+}
+
 // Comment widget HTML
-function getCommentWidgetHTML(pageUrl) {
+function getCommentWidgetHTML(pageUrl, maxDepth, captcha, siteKey, hostOrigins, theme, replyNotifications, sort, nonce) {
     return `
 <!DOCTYPE html>
 <html lang="en">
@@ -569,7 +6063,7 @@ function getCommentWidgetHTML(pageUrl) {
         .comment-form-container { margin-bottom: 30px; padding: 20px; border: 1px solid #ddd; border-radius: 5px; }
         .form-group { margin-bottom: 15px; }
         label { display: block; margin-bottom: 5px; font-weight: bold; }
-        input[type="text"], textarea { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
+        input[type="text"], input[type="email"], textarea { width: 100%; padding: 10px; border: 1px solid #ddd; border-radius: 4px; box-sizing: border-box; }
         textarea { min-height: 100px; resize: vertical; }
         button { background-color: #007bff; color: white; border: none; padding: 12px 24px; border-radius: 4px; cursor: pointer; font-size: 16px; }
         button:hover { background-color: #0056b3; }
@@ -584,39 +6078,146 @@ function getCommentWidgetHTML(pageUrl) {
         .comment-author { font-weight: bold; color: #333; }
         .comment-date { color: #666; font-size: 0.9em; margin-left: 10px; }
         .comment-content { line-height: 1.5; }
+        .comment-content p { margin: 0 0 10px; }
+        .comment-content p:last-child { margin-bottom: 0; }
+        .comment-content code { background-color: #f4f4f4; padding: 2px 4px; border-radius: 3px; font-size: 0.9em; }
+        .comment-content pre { background-color: #f4f4f4; padding: 10px; border-radius: 4px; overflow-x: auto; }
+        .comment-content pre code { padding: 0; }
+        .editor-tabs { margin-bottom: 5px; }
+        .editor-tab { background: none; color: #666; padding: 5px 10px; font-size: 0.9em; border-bottom: 2px solid transparent; border-radius: 0; }
+        .editor-tab:hover { background: none; color: #333; }
+        .editor-tab.active { color: #333; border-bottom-color: #007bff; }
+        .comment-preview { min-height: 100px; padding: 10px; border: 1px solid #ddd; border-radius: 4px; }
+        .form-help { color: #666; font-size: 0.85em; }
+        .comment-replies { margin-left: 20px; padding-left: 15px; border-left: 2px solid #eee; }
+        .comment-replies .comment:last-child { border-bottom: none; }
+        .reply-btn { background: none; color: #007bff; padding: 4px 0; font-size: 0.9em; margin-top: 5px; }
+        .reply-btn:hover { background: none; text-decoration: underline; }
+        .reply-indicator { margin-bottom: 15px; padding: 8px 12px; background-color: #f1f5ff; border-radius: 4px; }
+        .reply-indicator button { background: none; color: #dc3545; padding: 0 0 0 8px; font-size: 0.9em; }
+        .load-more-btn { display: block; width: 100%; margin-top: 15px; background-color: #fff; color: #007bff; border: 1px solid #ddd; }
+        .load-more-btn:hover { background-color: #f1f5ff; }
         .no-comments { text-align: center; color: #666; font-style: italic; padding: 20px; }
         .loading { text-align: center; padding: 20px; }
+        .hp-field { position: absolute; left: -10000px; width: 1px; height: 1px; overflow: hidden; }
+        .captcha-stub { padding: 10px; border: 1px dashed #999; border-radius: 4px; color: #666; }
+        .comment-link { color: #999; font-size: 0.85em; margin-left: 10px; text-decoration: none; }
+        .comment-link:hover { text-decoration: underline; }
+        .comment-edited { color: #999; font-size: 0.85em; font-style: italic; margin-left: 6px; }
+        .comment-removed { color: #999; font-style: italic; }
+        .edit-comment-btn, .delete-comment-btn, .cancel-edit-btn, .report-comment-btn { background: none; color: #666; padding: 4px 0; font-size: 0.9em; margin: 5px 0 0 12px; }
+        .edit-comment-btn:hover, .delete-comment-btn:hover, .cancel-edit-btn:hover, .report-comment-btn:hover { background: none; text-decoration: underline; }
+        .report-comment-btn:disabled { background: none; text-decoration: none; cursor: default; }
+        .comment-edit-actions { margin-top: 8px; }
+        .comment.highlighted { background-color: #fff8db; }
+        .comments-header { display: flex; flex-wrap: wrap; justify-content: space-between; align-items: center; gap: 10px; }
+        .comment-sort { display: flex; align-items: center; gap: 6px; font-weight: normal; color: #666; font-size: 0.9em; margin: 0; }
+        .comment-sort select { padding: 4px; border: 1px solid #ddd; border-radius: 4px; }
+        .comment-reactions { display: flex; flex-wrap: wrap; gap: 6px; margin-top: 8px; }
+        .reaction-btn { background: #fff; color: #333; border: 1px solid #ddd; border-radius: 12px; padding: 2px 8px; font-size: 0.9em; }
+        .reaction-btn:hover { background: #f1f5ff; }
+        .reaction-btn.active { background: #f1f5ff; border-color: #007bff; }
+        body.theme-dark { background-color: #111827; color: #f9fafb; }
+        body.theme-dark .comment-form-container,
+        body.theme-dark .comment-preview,
+        body.theme-dark input[type="text"],
+        body.theme-dark input[type="email"],
+        body.theme-dark textarea,
+        body.theme-dark .comment-sort select,
+        body.theme-dark .reaction-btn { background-color: #1f2937; border-color: #374151; color: #f9fafb; }
+        body.theme-dark .reaction-btn.active { background-color: #1e3a8a; border-color: #60a5fa; }
+        body.theme-dark .comment { border-bottom-color: #374151; }
+        body.theme-dark .comment-author,
+        body.theme-dark .editor-tab.active { color: #f9fafb; }
+        body.theme-dark .comment-date,
+        body.theme-dark .edit-comment-btn,
+        body.theme-dark .delete-comment-btn,
+        body.theme-dark .cancel-edit-btn,
+        body.theme-dark .report-comment-btn,
+        body.theme-dark .form-help,
+        body.theme-dark .comment-sort,
+        body.theme-dark .no-comments { color: #9ca3af; }
+        body.theme-dark .comment-content code,
+        body.theme-dark .comment-content pre { background-color: #374151; }
+        body.theme-dark .reply-indicator,
+        body.theme-dark .load-more-btn { background-color: #1f2937; }
+        body.theme-dark .comment-replies { border-left-color: #374151; }
+        body.theme-dark .comment.highlighted { background-color: #3b3a1f; }
     </style>
+    ${captcha && captcha.script_url ? `<script src="${captcha.script_url}" nonce="${nonce}" async defer></script>` : ''}
 </head>
-<body>
+<body class="theme-${theme}">
     <div id="comment-form-container" class="comment-form-container">
         <h3>Leave a Comment</h3>
+        <div id="reply-indicator" class="reply-indicator" style="display: none;">
+            Replying to <strong id="reply-to-name"></strong>
+            <button type="button" id="cancel-reply">Cancel</button>
+        </div>
         <form id="comment-form">
             <div class="form-group">
                 <label for="author-name">Name:</label>
                 <input type="text" id="author-name" name="author_name" required maxlength="100">
             </div>
+            ${replyNotifications ? `<div class="form-group">
+                <label for="notify-email">Email (optional):</label>
+                <input type="email" id="notify-email" name="notify_email" maxlength="254">
+                <small class="form-help">Get an email when someone replies. Your address is never shown.</small>
+            </div>` : ''}
             <div class="form-group">
                 <label for="comment-content">Comment:</label>
+                <div class="editor-tabs">
+                    <button type="button" class="editor-tab active" data-tab="write">Write</button>
+                    <button type="button" class="editor-tab" data-tab="preview">Preview</button>
+                </div>
                 <textarea id="comment-content" name="comment_content" required maxlength="1000" rows="4"></textarea>
+                <div id="comment-preview" class="comment-preview comment-content" style="display: none;"></div>
+                <small class="form-help">Supports **bold**, *italics*, \`code\`, \`\`\` code blocks and links.</small>
+            </div>
+            <div class="hp-field" aria-hidden="true">
+                <label for="website">Leave this field empty:</label>
+                <input type="text" id="website" name="website" tabindex="-1" autocomplete="off">
             </div>
+            ${captcha ? `<div class="form-group">
+                ${captcha.script_url
+                    ? `<div class="${captcha.widget_class}" data-sitekey="${captcha.site_key}"></div>`
+                    : `<p class="captcha-stub">Test CAPTCHA: ${captcha.provider}</p>`}
+            </div>` : ''}
             <button type="submit" id="submit-btn">Post Comment</button>
         </form>
         <div id="form-message" style="display: none;"></div>
     </div>
 
     <div id="comments-container" class="comments-container">
-        <h3>Comments (<span id="comment-count">0</span>)</h3>
+        <div class="comments-header">
+            <h3>Comments (<span id="comment-count">0</span>)</h3>
+            <label class="comment-sort">
+                Sort by
+                <select id="comment-sort">
+                    <option value="oldest"${sort === 'oldest' ? ' selected' : ''}>Oldest</option>
+                    <option value="newest"${sort === 'newest' ? ' selected' : ''}>Newest</option>
+                    <option value="top"${sort === 'top' ? ' selected' : ''}>Top</option>
+                </select>
+            </label>
+        </div>
         <div id="loading" class="loading">Loading comments...</div>
         <div id="comments-list" style="display: none;"></div>
+        <button type="button" id="load-more" class="load-more-btn" style="display: none;">Load more comments</button>
         <div id="no-comments" class="no-comments" style="display: none;">
             <p>No comments yet. Be the first to comment!</p>
         </div>
     </div>
 
-    <script>
+    <script src="/assets/comment-render.js"></script>
+    <script src="/assets/comment-live.js"></script>
+    <script nonce="${nonce}">
         const API_BASE = window.location.origin;
-        const PAGE_URL = \`${pageUrl}\` || window.location.href;
+        const PAGE_URL = ${toScriptLiteral(pageUrl)};
+        const SITE_KEY = ${toScriptLiteral(siteKey)};
+        const MAX_DEPTH = ${maxDepth};
+        const CAPTCHA = ${toScriptLiteral(captcha)};
+        // Host page origins allowed to talk to this widget over postMessage
+        const HOST_ORIGINS = ${toScriptLiteral(hostOrigins)};
+        const MESSAGE_SOURCE = 'blog-comments';
 
         const form = document.getElementById('comment-form');
         const submitBtn = document.getElementById('submit-btn');
@@ -625,9 +6226,340 @@ function getCommentWidgetHTML(pageUrl) {
         const loading = document.getElementById('loading');
         const noComments = document.getElementById('no-comments');
         const commentCount = document.getElementById('comment-count');
+        const replyIndicator = document.getElementById('reply-indicator');
+        const replyToName = document.getElementById('reply-to-name');
+        const loadMoreBtn = document.getElementById('load-more');
+
+        let replyToId = null;
+        let loadedComments = [];
+        let nextCursor = null;
+        let currentSort = ${toScriptLiteral(sort)};
+        let messageTimer = null;
+        let rateLimitTimer = null;
+        let formToken = null;
+
+        // The host page's origin, once it has introduced itself with an "init" message
+        let hostOrigin = null;
+        let lastHeight = 0;
+
+        // New, edited and removed comments are applied to the list as they happen
+        const live = createLiveUpdates({
+            apiBase: API_BASE,
+            pageUrl: PAGE_URL,
+            siteKey: SITE_KEY,
+            list: commentsList,
+            noComments,
+            commentCount,
+            maxDepth: MAX_DEPTH,
+            comments: () => loadedComments,
+            hasMorePages: () => nextCursor !== null,
+            sort: () => currentSort,
+            renderComment: (comment, depth) => createCommentHTML(comment, depth, { maxDepth: MAX_DEPTH, permalinks: true }),
+            reload: () => loadComments()
+        });
 
         // Load comments on page load
-        loadComments();
+        const commentsLoaded = loadComments();
+        loadFormToken();
+        // Form tokens expire after a few hours, so a widget left open gets a fresh one every hour
+        setInterval(loadFormToken, 60 * 60 * 1000);
+
+        // Reply buttons and permalinks are re-rendered with the list, so listen on the container
+        commentsList.addEventListener('click', (e) => {
+            const replyBtn = e.target.closest('.reply-btn');
+            if (replyBtn) {
+                const author = replyBtn.closest('.comment').querySelector('.comment-author').textContent;
+                startReply(replyBtn.dataset.commentId, author);
+            }
+
+            // Inside a host page, the permalink goes on the host's URL instead of the frame's
+            const link = e.target.closest('.comment-link');
+            if (link && hostOrigin) {
+                e.preventDefault();
+                postToHost('comment-link', { comment_id: Number(link.dataset.commentId) });
+            }
+
+            const ownBtn = e.target.closest('.edit-comment-btn, .delete-comment-btn, .save-edit-btn, .cancel-edit-btn');
+            if (ownBtn) {
+                handleOwnCommentClick(ownBtn);
+            }
+
+            const reactionBtn = e.target.closest('.reaction-btn');
+            if (reactionBtn && !reactionBtn.disabled) {
+                toggleReaction(reactionBtn);
+            }
+
+            const reportBtn = e.target.closest('.report-comment-btn');
+            if (reportBtn && !reportBtn.disabled) {
+                reportComment(reportBtn);
+            }
+        });
+
+        document.getElementById('comment-sort').addEventListener('change', (e) => {
+            currentSort = e.target.value;
+            loadComments();
+        });
+
+        async function toggleReaction(button) {
+            const element = button.closest('.comment');
+            const comment = loadedComments.find(loaded => \`comment-\${loaded.id}\` === element.id);
+            if (!comment) return;
+
+            const reaction = button.dataset.reaction;
+            button.disabled = true;
+
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${comment.id}/reactions\`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ site_key: SITE_KEY || undefined, reaction, voter_id: getVoterId() })
+                });
+                const data = await response.json();
+
+                if (response.ok && data.success) {
+                    const mine = loadMyReactions();
+                    const others = (mine[comment.id] || []).filter(other => other !== reaction);
+                    mine[comment.id] = data.reacted ? others.concat(reaction) : others;
+                    if (mine[comment.id].length === 0) {
+                        delete mine[comment.id];
+                    }
+                    saveMyReactions(mine);
+
+                    comment.reactions = data.reactions;
+                    element.querySelector(':scope > .comment-reactions').outerHTML = renderReactions(comment, mine[comment.id]);
+                    return;
+                }
+                showFormMessage(data.error || 'Failed to save your reaction.', 'error');
+            } catch (err) {
+                showFormMessage('Error saving your reaction. Please try again.', 'error');
+            }
+
+            button.disabled = false;
+        }
+
+        // Ask why the comment is being reported, then pass the report on to the moderators
+        async function reportComment(button) {
+            const element = button.closest('.comment');
+            const comment = loadedComments.find(loaded => \`comment-\${loaded.id}\` === element.id);
+            if (!comment) return;
+
+            const reason = window.prompt(\`Why are you reporting \${comment.author_name}'s comment?\`);
+            if (reason === null) return;
+            if (!reason.trim()) {
+                showFormMessage('Please say why you are reporting this comment.', 'error');
+                return;
+            }
+
+            button.disabled = true;
+
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${comment.id}/report\`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ site_key: SITE_KEY || undefined, reason: reason.trim(), voter_id: getVoterId() })
+                });
+                const data = await response.json();
+
+                if (response.ok && data.success) {
+                    button.textContent = 'Reported';
+                    showFormMessage(data.message, 'success');
+                    return;
+                }
+                showFormMessage(data.error || 'Failed to send your report.', 'error');
+            } catch (err) {
+                showFormMessage('Error sending your report. Please try again.', 'error');
+            }
+
+            button.disabled = false;
+        }
+
+        // Edit, Save, Cancel and Delete on the reader's own comments
+        function handleOwnCommentClick(button) {
+            const element = button.closest('.comment');
+            const comment = loadedComments.find(loaded => \`comment-\${loaded.id}\` === element.id);
+            if (!comment) return;
+
+            const content = element.querySelector(':scope > .comment-content');
+            if (button.classList.contains('cancel-edit-btn')) {
+                content.innerHTML = renderCommentContent(comment);
+                return;
+            }
+
+            // The buttons stay on screen after the edit window closes, until they're next used
+            if (!getEditToken(comment.id)) {
+                content.innerHTML = renderCommentContent(comment);
+                element.querySelectorAll(':scope > .edit-comment-btn, :scope > .delete-comment-btn').forEach(btn => btn.remove());
+                showFormMessage('This comment can no longer be changed.', 'error');
+                return;
+            }
+
+            if (button.classList.contains('edit-comment-btn')) {
+                if (content.querySelector('textarea')) return;
+                content.innerHTML = \`
+                    <textarea maxlength="1000">\${escapeHtml(comment.comment_content)}</textarea>
+                    <div class="comment-edit-actions">
+                        <button type="button" class="save-edit-btn">Save</button>
+                        <button type="button" class="cancel-edit-btn">Cancel</button>
+                    </div>
+                \`;
+                content.querySelector('textarea').focus();
+            } else if (button.classList.contains('save-edit-btn')) {
+                saveEdit(comment, content.querySelector('textarea'), button);
+            } else if (confirm('Delete your comment? This cannot be undone.')) {
+                deleteOwnComment(comment);
+            }
+        }
+
+        async function saveEdit(comment, textarea, saveBtn) {
+            const commentContent = textarea.value.trim();
+            if (!commentContent) {
+                showFormMessage('Please enter a comment.', 'error');
+                return;
+            }
+
+            textarea.disabled = true;
+            saveBtn.disabled = true;
+
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${comment.id}\`, {
+                    method: 'PATCH',
+                    headers: {
+                        'Content-Type': 'application/json',
+                        'X-Edit-Token': getEditToken(comment.id)
+                    },
+                    body: JSON.stringify({ comment_content: commentContent })
+                });
+                const data = await response.json();
+
+                if (response.ok && data.success) {
+                    // An edit can send the comment back for moderation, which takes it off the list for now
+                    if (data.comment.status === 'approved') {
+                        live.updateComment(data.comment);
+                    } else {
+                        live.removeComment(comment.id);
+                        showFormMessage('Thanks! Your edit is awaiting moderation.', 'success');
+                    }
+                    live.refresh();
+                    return;
+                }
+                showFormMessage(data.error || 'Failed to save your changes.', 'error');
+            } catch (err) {
+                showFormMessage('Error saving your changes. Please try again.', 'error');
+            }
+
+            textarea.disabled = false;
+            saveBtn.disabled = false;
+        }
+
+        async function deleteOwnComment(comment) {
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/\${comment.id}\`, {
+                    method: 'DELETE',
+                    headers: {
+                        'X-Edit-Token': getEditToken(comment.id)
+                    }
+                });
+                const data = await response.json();
+
+                if (response.ok && data.success) {
+                    forgetEditToken(comment.id);
+                    live.removeComment(comment.id);
+                    showFormMessage('Your comment was deleted.', 'success');
+                    live.refresh();
+                } else {
+                    showFormMessage(data.error || 'Failed to delete comment.', 'error');
+                }
+            } catch (err) {
+                showFormMessage('Error deleting comment. Please try again.', 'error');
+            }
+        }
+
+        // Messages from the host page; see "Iframe Messages" in the README for the protocol
+        window.addEventListener('message', (event) => {
+            const message = event.data;
+            if (event.source !== window.parent || !HOST_ORIGINS.includes(event.origin) ||
+                !message || message.source !== MESSAGE_SOURCE) {
+                return;
+            }
+
+            switch (message.type) {
+                case 'init':
+                    hostOrigin = event.origin;
+                    setTheme(message.theme);
+                    lastHeight = 0;
+                    reportHeight();
+                    postToHost('ready');
+                    if (message.comment_id) showComment(message.comment_id);
+                    break;
+                case 'set-theme':
+                    setTheme(message.theme);
+                    break;
+                case 'scroll-to-comment':
+                    showComment(message.comment_id);
+                    break;
+            }
+        });
+
+        function postToHost(type, data = {}) {
+            if (hostOrigin) {
+                window.parent.postMessage({ source: MESSAGE_SOURCE, type, ...data }, hostOrigin);
+            }
+        }
+
+        // Tell the host how tall the widget is so it can size the frame to fit
+        function reportHeight() {
+            const height = Math.ceil(document.body.getBoundingClientRect().height);
+            if (height !== lastHeight) {
+                lastHeight = height;
+                postToHost('resize', { height });
+            }
+        }
+
+        new ResizeObserver(reportHeight).observe(document.body);
+
+        function setTheme(theme) {
+            if (!['light', 'dark', 'auto'].includes(theme)) return;
+            const dark = theme === 'dark' || (theme === 'auto' && window.matchMedia('(prefers-color-scheme: dark)').matches);
+            document.body.classList.toggle('theme-dark', dark);
+            document.body.classList.toggle('theme-light', !dark);
+        }
+
+        // Highlight a comment, loading further pages until it turns up, and bring it into view:
+        // the host scrolls to it when the frame is sized to fit, otherwise the frame scrolls itself
+        async function showComment(commentId) {
+            await commentsLoaded;
+
+            let element = document.getElementById(\`comment-\${Number(commentId)}\`);
+            while (!element && nextCursor) {
+                const cursor = nextCursor;
+                await loadMoreComments();
+                if (nextCursor === cursor) return;
+                element = document.getElementById(\`comment-\${Number(commentId)}\`);
+            }
+            if (!element) return;
+
+            document.querySelectorAll('.comment.highlighted').forEach(comment => comment.classList.remove('highlighted'));
+            element.classList.add('highlighted');
+
+            if (hostOrigin) {
+                postToHost('comment-position', {
+                    comment_id: Number(commentId),
+                    top: Math.round(element.getBoundingClientRect().top + window.scrollY)
+                });
+            } else {
+                element.scrollIntoView({ behavior: 'smooth', block: 'center' });
+            }
+        }
+
+        document.getElementById('cancel-reply').addEventListener('click', cancelReply);
+        loadMoreBtn.addEventListener('click', loadMoreComments);
+        document.querySelectorAll('.editor-tab').forEach(tab => {
+            tab.addEventListener('click', () => showEditorTab(tab.dataset.tab));
+        });
 
         // Handle form submission
         form.addEventListener('submit', async (e) => {
@@ -641,6 +6573,12 @@ function getCommentWidgetHTML(pageUrl) {
                 return;
             }
 
+            const captchaToken = getCaptchaToken();
+            if (CAPTCHA && !captchaToken) {
+                showFormMessage('Please complete the CAPTCHA.', 'error');
+                return;
+            }
+
             submitBtn.disabled = true;
             submitBtn.textContent = 'Posting...';
 
@@ -651,39 +6589,141 @@ function getCommentWidgetHTML(pageUrl) {
                         'Content-Type': 'application/json',
                     },
                     body: JSON.stringify({
+                        site_key: SITE_KEY,
                         page_url: PAGE_URL,
                         author_name: authorName,
-                        comment_content: commentContent
+                        comment_content: commentContent,
+                        parent_id: replyToId,
+                        notify_email: document.getElementById('notify-email')?.value.trim() || undefined,
+                        website: document.getElementById('website').value,
+                        form_token: formToken,
+                        captcha_token: captchaToken
                     })
                 });
+                resetCaptcha();
 
                 const data = await response.json();
 
                 if (response.ok && data.success) {
-                    showFormMessage('Comment posted successfully!', 'success');
+                    showFormMessage(data.comment.status === 'pending'
+                        ? 'Thanks! Your comment is awaiting moderation.'
+                        : 'Comment posted successfully!', 'success');
+                    if (data.edit_token) {
+                        rememberEditToken(data.comment.id, data.edit_token, data.edit_expires_at);
+                    }
+                    postToHost('comment-posted', {
+                        comment: {
+                            id: data.comment.id,
+                            parent_id: data.comment.parent_id,
+                            status: data.comment.status
+                        }
+                    });
                     form.reset();
-                    loadComments(); // Reload comments
+                    cancelReply();
+                    showEditorTab('write');
+                    live.refresh(); // Add the new comment to the list without reloading it
+                } else if (response.status === 429) {
+                    startRateLimitCountdown(parseInt(response.headers.get('Retry-After'), 10) || data.retry_after || 60);
                 } else {
                     showFormMessage(data.error || 'Failed to post comment.', 'error');
                 }
             } catch (err) {
                 showFormMessage('Error posting comment. Please try again.', 'error');
             } finally {
-                submitBtn.disabled = false;
+                submitBtn.disabled = rateLimitTimer !== null;
                 submitBtn.textContent = 'Post Comment';
             }
         });
 
-        async function loadComments() {
-            try {
-                const response = await fetch(\`\${API_BASE}/api/comments?page_url=\${encodeURIComponent(PAGE_URL)}\`);
+        // Keep the form locked and count down until the rate limit resets
+        function startRateLimitCountdown(seconds) {
+            clearTimeout(messageTimer);
+            clearInterval(rateLimitTimer);
+            let remaining = seconds;
 
-                if (!response.ok) {
-                    throw new Error('Failed to load comments');
+            const tick = () => {
+                if (remaining <= 0) {
+                    clearInterval(rateLimitTimer);
+                    rateLimitTimer = null;
+                    submitBtn.disabled = false;
+                    formMessage.style.display = 'none';
+                    return;
                 }
+                submitBtn.disabled = true;
+                formMessage.textContent = rateLimitMessage(remaining);
+                formMessage.className = 'form-message error';
+                formMessage.style.display = 'block';
+                remaining--;
+            };
+
+            tick();
+            rateLimitTimer = setInterval(tick, 1000);
+        }
+
+        // Switch between the comment box and a server-rendered preview of it
+        async function showEditorTab(name) {
+            const textarea = document.getElementById('comment-content');
+            const preview = document.getElementById('comment-preview');
+            const previewing = name === 'preview';
 
+            document.querySelectorAll('.editor-tab').forEach(tab => {
+                tab.classList.toggle('active', tab.dataset.tab === name);
+            });
+            textarea.style.display = previewing ? 'none' : '';
+            preview.style.display = previewing ? 'block' : 'none';
+            if (!previewing) return;
+
+            preview.textContent = 'Loading preview...';
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/preview\`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json',
+                    },
+                    body: JSON.stringify({ comment_content: textarea.value })
+                });
                 const data = await response.json();
-                displayComments(data.comments || []);
+                if (!response.ok) {
+                    throw new Error(data.error);
+                }
+                preview.innerHTML = data.comment_html || '<p><em>Nothing to preview.</em></p>';
+            } catch (err) {
+                preview.textContent = 'Preview unavailable. Please try again.';
+            }
+        }
+
+        // The token the CAPTCHA widget put in the form; the test stubs don't need a real one
+        function getCaptchaToken() {
+            if (!CAPTCHA) return null;
+            if (!CAPTCHA.script_url) return 'stub';
+            const field = form.querySelector(\`[name="\${CAPTCHA.response_field}"]\`);
+            return field ? field.value : '';
+        }
+
+        // CAPTCHA tokens can only be verified once, so get a fresh challenge after each attempt
+        function resetCaptcha() {
+            if (CAPTCHA && CAPTCHA.global && window[CAPTCHA.global]) {
+                window[CAPTCHA.global].reset();
+            }
+        }
+
+        // The spam filter checks how long the form was open before it was submitted
+        async function loadFormToken() {
+            try {
+                const response = await fetch(\`\${API_BASE}/api/comments/form-token\`);
+                formToken = (await response.json()).token;
+            } catch (err) {
+                console.error('Error loading form token:', err);
+            }
+        }
+
+        async function loadComments() {
+            try {
+                const data = await fetchCommentsPage(null);
+                loadedComments = data.comments || [];
+                nextCursor = data.next_cursor || null;
+                displayComments(loadedComments, data.total);
+                live.start(data.last_event_id);
             } catch (err) {
                 console.error('Error loading comments:', err);
                 loading.style.display = 'none';
@@ -692,9 +6732,39 @@ function getCommentWidgetHTML(pageUrl) {
             }
         }
 
-        function displayComments(comments) {
+        async function fetchCommentsPage(cursor) {
+            const cursorParam = cursor ? \`&cursor=\${encodeURIComponent(cursor)}\` : '';
+            const siteParam = SITE_KEY ? \`&site_key=\${encodeURIComponent(SITE_KEY)}\` : '';
+            const response = await fetch(\`\${API_BASE}/api/comments?page_url=\${encodeURIComponent(PAGE_URL)}&sort=\${currentSort}\${siteParam}\${cursorParam}\`);
+
+            if (!response.ok) {
+                throw new Error('Failed to load comments');
+            }
+
+            return response.json();
+        }
+
+        async function loadMoreComments() {
+            loadMoreBtn.disabled = true;
+            loadMoreBtn.textContent = 'Loading...';
+
+            try {
+                const data = await fetchCommentsPage(nextCursor);
+                loadedComments = loadedComments.concat(data.comments || []);
+                nextCursor = data.next_cursor || null;
+                displayComments(loadedComments, data.total);
+            } catch (err) {
+                console.error('Error loading more comments:', err);
+            } finally {
+                loadMoreBtn.disabled = false;
+                loadMoreBtn.textContent = 'Load more comments';
+            }
+        }
+
+        function displayComments(comments, total) {
             loading.style.display = 'none';
-            commentCount.textContent = comments.length;
+            commentCount.textContent = total;
+            loadMoreBtn.style.display = nextCursor ? 'block' : 'none';
 
             if (comments.length === 0) {
                 commentsList.style.display = 'none';
@@ -705,17 +6775,19 @@ function getCommentWidgetHTML(pageUrl) {
             commentsList.style.display = 'block';
             noComments.style.display = 'none';
 
-            commentsList.innerHTML = comments.map(comment => \`
-                <div class="comment">
-                    <div class="comment-header">
-                        <span class="comment-author">\${escapeHtml(comment.author_name)}</span>
-                        <span class="comment-date">\${formatDate(comment.created_at)}</span>
-                    </div>
-                    <div class="comment-content">
-                        \${escapeHtml(comment.comment_content)}
-                    </div>
-                </div>
-            \`).join('');
+            commentsList.innerHTML = renderThread(comments, { maxDepth: MAX_DEPTH, permalinks: true });
+        }
+
+        function startReply(commentId, authorName) {
+            replyToId = Number(commentId);
+            replyToName.textContent = authorName;
+            replyIndicator.style.display = 'block';
+            document.getElementById('comment-content').focus();
+        }
+
+        function cancelReply() {
+            replyToId = null;
+            replyIndicator.style.display = 'none';
         }
 
         function showFormMessage(message, type) {
@@ -723,21 +6795,11 @@ function getCommentWidgetHTML(pageUrl) {
             formMessage.className = \`form-message \${type}\`;
             formMessage.style.display = 'block';
 
-            setTimeout(() => {
+            clearTimeout(messageTimer);
+            messageTimer = setTimeout(() => {
                 formMessage.style.display = 'none';
             }, 5000);
         }
-
-        function escapeHtml(text) {
-            const div = document.createElement('div');
-            div.textContent = text;
-            return div.innerHTML;
-        }
-
-        function formatDate(dateString) {
-            const date = new Date(dateString);
-            return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
-        }
     </script>
 </body>
 </html>
@@ -0,0 +1,108 @@
+// Markdown-lite renderer for comments
+// Supports **bold**, *italics*, `inline code`, ``` fenced code blocks ```, autolinked URLs and paragraphs.
+// Everything else is shown as plain text: the output only ever contains the tags built here,
+// and all comment text is escaped before it is placed between them.
+
+function escapeHtml(text) {
+    return text
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+// Only http(s) URLs are linked; trailing punctuation is left out of the link
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+/g;
+
+// How much of a matched URL belongs in the link: sentence punctuation, emphasis markers
+// and unbalanced closing parentheses at the end are left out
+function linkLength(url) {
+    let end = url.length;
+    while (end > 0) {
+        const char = url[end - 1];
+        const unbalanced = char === ')' &&
+            url.slice(0, end).split(')').length > url.slice(0, end).split('(').length;
+        if (!'.,;:!?*_'.includes(char) && !unbalanced) {
+            break;
+        }
+        end--;
+    }
+    return end;
+}
+
+function renderLink(url) {
+    const href = escapeHtml(url);
+    return `<a href="${href}" rel="nofollow ugc" target="_blank">${href}</a>`;
+}
+
+// Render one paragraph's text. Code spans and links are swapped out for placeholders first
+// so emphasis markers inside them (e.g. underscores in a URL) are left alone.
+function renderInline(text) {
+    const placeholders = [];
+    const hold = html => `\u0000${placeholders.push(html) - 1}\u0000`;
+
+    let html = text
+        .replace(/\u0000/g, '')
+        .replace(/`([^`\n]+)`/g, (_, code) => hold(`<code>${escapeHtml(code)}</code>`))
+        .replace(URL_PATTERN, url => {
+            const end = linkLength(url);
+            return hold(renderLink(url.slice(0, end))) + url.slice(end);
+        });
+
+    html = escapeHtml(html)
+        .replace(/\*\*(?=\S)([\s\S]*?\S)\*\*/g, '<strong>$1</strong>')
+        .replace(/(^|\W)__(?=\S)([\s\S]*?\S)__(?!\w)/g, '$1<strong>$2</strong>')
+        .replace(/\*(?=\S)([^*]*?\S)\*/g, '<em>$1</em>')
+        .replace(/(^|\W)_(?=\S)([^_]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/\n/g, '<br>\n');
+
+    return html.replace(/\u0000(\d+)\u0000/g, (_, index) => placeholders[index]);
+}
+
+// Render comment source to HTML
+export function renderMarkdown(source) {
+    const blocks = [];
+    let paragraph = [];
+    let code = null;
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            blocks.push(`<p>${renderInline(paragraph.join('\n'))}</p>`);
+            paragraph = [];
+        }
+    };
+
+    const flushCode = () => {
+        const languageClass = code.language ? ` class="language-${code.language}"` : '';
+        blocks.push(`<pre><code${languageClass}>${escapeHtml(code.lines.join('\n'))}</code></pre>`);
+        code = null;
+    };
+
+    for (const line of String(source).replace(/\r\n?/g, '\n').split('\n')) {
+        const fence = line.match(/^\s{0,3}```\s*([\w+-]{0,20})\s*$/);
+
+        if (code) {
+            if (fence && !fence[1]) {
+                flushCode();
+            } else {
+                code.lines.push(line);
+            }
+        } else if (fence) {
+            flushParagraph();
+            code = { language: fence[1], lines: [] };
+        } else if (line.trim() === '') {
+            flushParagraph();
+        } else {
+            paragraph.push(line);
+        }
+    }
+
+    // An unclosed fence runs to the end of the comment
+    if (code) {
+        flushCode();
+    }
+    flushParagraph();
+
+    return blocks.join('\n');
+}